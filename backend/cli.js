@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { FACTORY_ABI } = require('./lib/abis');
+const { getProvider, getBlockNumber, rpcStatus, RPC_URLS } = require('./lib/rpc');
+const { loadDeployments } = require('./lib/deployments');
+const { createIndexer } = require('./lib/indexer');
+const { resolvePool, readReserves, readPoolState } = require('./lib/pools');
+const { buildQuote } = require('./lib/amm');
+const { checkReadiness } = require('./lib/health');
+const { loadTokenList } = require('./lib/tokenlists');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  pools list                        Pools on the chain with reserves and spot price
+  pool show <pool>                  One pool: token, reserves, LP supply, price, TVL
+  quote <pool> --in <amount>        Quote a swap with the pool's 0.3% fee (997/1000)
+  quote <pool> --out <amount>         amounts carry a unit: 1eth, 0.5eth, 250tok or 250<SYMBOL>
+  index --from-block <n>            Re-index pool events into the event store (stop the server first)
+  snapshot --block <n>              State of every pool at a block
+  health                            RPC endpoints, chain ID and contract code checks
+  tokens check                      Validate the chain's token list against on-chain metadata
+
+Options:
+  --chain <id>        Chain ID (default: CHAIN_ID or 31337)
+  --block <n>         Read state at this block instead of the latest
+  --slippage <pct>    Slippage tolerance for quotes (default 0.5)
+  --pool <address>    index: only this pool
+  --to-block <n>      index: last block (default: the confirmed head)
+  --json              Print JSON instead of text
+  -h, --help          Show this help`;
+
+const OPTIONS = {
+  chain: { type: 'string', default: process.env.CHAIN_ID || '31337' },
+  block: { type: 'string' },
+  in: { type: 'string' },
+  out: { type: 'string' },
+  slippage: { type: 'string', default: '0.5' },
+  pool: { type: 'string' },
+  'from-block': { type: 'string' },
+  'to-block': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+const blockOption = (raw, name) => {
+  if (raw === undefined) return undefined;
+  if (!/^\d+$/.test(raw)) throw new UsageError(`--${name} must be a block number`);
+  return Number(raw);
+};
+
+const addressArg = (raw, name) => {
+  if (!raw || !ethers.isAddress(raw)) throw new UsageError(`${name} must be an address`);
+  return ethers.getAddress(raw);
+};
+
+/**
+ * Parse "1eth", "0.25 ETH", "250tok" or "250<SYMBOL>" into { unit: 'eth' | 'token', value } in base units.
+ */
+const parseAmount = (raw, pool) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z][a-z0-9]*)$/i.exec(raw ?? '');
+  if (!match) throw new UsageError(`Amount "${raw}" needs a unit, e.g. 1eth or 250tok`);
+  const [, number, unit] = match;
+  const decimals = pool.tokenDecimals ?? 18;
+
+  try {
+    if (unit.toLowerCase() === 'eth') return { unit: 'eth', value: ethers.parseEther(number) };
+    if (['tok', 'token'].includes(unit.toLowerCase()) || unit.toLowerCase() === pool.tokenSymbol?.toLowerCase()) {
+      return { unit: 'token', value: ethers.parseUnits(number, decimals) };
+    }
+  } catch {
+    throw new UsageError(`Amount "${raw}" has too many decimals`);
+  }
+  throw new UsageError(`Unknown unit "${unit}": use eth, tok or ${pool.tokenSymbol ?? 'the token symbol'}`);
+};
+
+/**
+ * Everything a command needs for one chain: its provider, contracts and the pools to report on.
+ */
+const openChain = async (chainId) => {
+  if (!RPC_URLS[chainId]) throw new UsageError(`Chain ${chainId} has no RPC endpoints configured`);
+  const contracts = (await loadDeployments([chainId]))[chainId];
+  const provider = getProvider(chainId);
+
+  const listPools = async (blockNumber) => {
+    if (contracts.factory) {
+      const factory = new ethers.Contract(contracts.factory, FACTORY_ABI, provider);
+      return [...await factory.getAllPools({ blockTag: blockNumber })];
+    }
+    return contracts.pool ? [contracts.pool] : [];
+  };
+
+  return { chainId: Number(chainId), contracts, provider, listPools };
+};
+
+const poolSummary = async ({ chainId, provider }, address, blockNumber) => {
+  const pool = await resolvePool(chainId, provider, address);
+  const state = await readPoolState(chainId, provider, pool.poolAddress, blockNumber, pool.tokenDecimals);
+  return { ...pool, ...state };
+};
+
+// Commands return { data, text }: data is printed with --json, text lines otherwise
+
+const formatToken = (value, pool) => `${ethers.formatUnits(value, pool.tokenDecimals ?? 18)} ${pool.tokenSymbol ?? 'tokens'}`;
+
+const poolLines = (pool) => [
+  `Pool           ${pool.poolAddress}`,
+  `Token          ${pool.tokenName ?? '?'} (${pool.tokenSymbol ?? '?'}) ${pool.tokenAddress}, ${pool.tokenDecimals ?? '?'} decimals`,
+  `Block          ${pool.blockNumber}`,
+  `Reserves       ${ethers.formatEther(pool.reserveETH)} ETH / ${formatToken(pool.reserveToken, pool)}`,
+  `LP supply      ${ethers.formatEther(pool.totalLiquidity)}`,
+  `Price          ${pool.price} ${pool.tokenSymbol ?? 'tokens'} per ETH`,
+  `TVL            ${pool.tvl} ETH`
+];
+
+const table = (rows, columns) => {
+  const widths = columns.map((column) => Math.max(column.length, ...rows.map((row) => String(row[column]).length)));
+  const line = (values) => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns), ...rows.map((row) => line(columns.map((column) => row[column])))];
+};
+
+const poolRows = (pools) => pools.map((pool) => ({
+  pool: pool.poolAddress,
+  token: pool.tokenSymbol ?? '?',
+  ETH: ethers.formatEther(pool.reserveETH),
+  tokens: ethers.formatUnits(pool.reserveToken, pool.tokenDecimals ?? 18),
+  price: pool.price,
+  'TVL (ETH)': pool.tvl
+}));
+
+const POOL_COLUMNS = ['pool', 'token', 'ETH', 'tokens', 'price', 'TVL (ETH)'];
+
+const commands = {
+  'pools list': async (chain, args, options) => {
+    const blockNumber = options.block ?? await getBlockNumber(chain.chainId);
+    const addresses = await chain.listPools(blockNumber);
+    const pools = await Promise.all(addresses.map((address) => poolSummary(chain, address, blockNumber)));
+
+    return {
+      data: { chainId: chain.chainId, blockNumber, pools },
+      text: pools.length === 0 ? ['No pools'] : [`Chain ${chain.chainId}, block ${blockNumber}`, '', ...table(poolRows(pools), POOL_COLUMNS)]
+    };
+  },
+
+  'pool show': async (chain, [address], options) => {
+    const pool = addressArg(address, '<pool>');
+    const blockNumber = options.block ?? await getBlockNumber(chain.chainId);
+    const summary = await poolSummary(chain, pool, blockNumber);
+
+    return { data: { chainId: chain.chainId, ...summary, fee: '0.3%' }, text: [...poolLines(summary), 'Fee            0.3%'] };
+  },
+
+  quote: async (chain, [address], options) => {
+    const poolAddress = addressArg(address, '<pool>');
+    if ((options.in === undefined) === (options.out === undefined)) throw new UsageError('Pass exactly one of --in or --out');
+    const slippage = Number(options.slippage);
+    if (!Number.isFinite(slippage) || slippage < 0 || slippage >= 100) throw new UsageError('--slippage must be a percentage below 100');
+
+    const pool = await resolvePool(chain.chainId, chain.provider, poolAddress);
+    const exactIn = options.in !== undefined;
+    const { unit, value } = parseAmount(exactIn ? options.in : options.out, pool);
+    // ETH in or token out is a buy; token in or ETH out is a sell
+    const side = (unit === 'eth') === exactIn ? 'buy' : 'sell';
+
+    const blockNumber = options.block ?? await getBlockNumber(chain.chainId);
+    const { reserveETH, reserveToken } = await readReserves(chain.chainId, chain.provider, poolAddress, blockNumber);
+    const quote = buildQuote({
+      side,
+      amountIn: exactIn ? value : undefined,
+      amountOut: exactIn ? undefined : value,
+      reserveETH,
+      reserveToken,
+      slippageBps: BigInt(Math.round(slippage * 100)),
+      tokenDecimals: pool.tokenDecimals ?? 18
+    });
+
+    const [inUnit, outUnit] = side === 'buy' ? ['eth', 'token'] : ['token', 'eth'];
+    const format = (amount, kind) => (kind === 'eth' ? `${ethers.formatEther(amount)} ETH` : formatToken(amount, pool));
+
+    return {
+      data: { chainId: chain.chainId, pool: poolAddress, blockNumber, reserveETH: reserveETH.toString(), reserveToken: reserveToken.toString(), ...quote },
+      text: [
+        `${side === 'buy' ? 'Buy' : 'Sell'} ${pool.tokenSymbol ?? 'tokens'} on ${poolAddress} at block ${blockNumber}`,
+        `Pay            ${format(quote.amountIn, inUnit)}`,
+        `Receive        ${format(quote.amountOut, outUnit)}`,
+        exactIn
+          ? `Min received   ${format(quote.minimumReceived, outUnit)} (${quote.slippage} slippage)`
+          : `Max sent       ${format(quote.maximumSent, inUnit)} (${quote.slippage} slippage)`,
+        `Price          ${quote.executionPrice} ${pool.tokenSymbol ?? 'tokens'} per ETH (spot ${quote.priceBefore}, after ${quote.priceAfter})`,
+        `Price impact   ${quote.priceImpact}`,
+        `Fee            ${quote.fee}`
+      ]
+    };
+  },
+
+  index: async (chain, args, options) => {
+    const fromBlock = options['from-block'];
+    if (fromBlock === undefined) throw new UsageError('index needs --from-block');
+    const toBlock = options['to-block'];
+    if (toBlock !== undefined && toBlock < fromBlock) throw new UsageError('--to-block must not be before --from-block');
+
+    const pools = options.pool ? [addressArg(options.pool, '--pool')] : await chain.listPools(await getBlockNumber(chain.chainId));
+    const indexer = createIndexer({
+      chainId: chain.chainId,
+      provider: chain.provider,
+      confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '0')
+    });
+
+    const results = [];
+    for (const pool of pools) {
+      results.push(await indexer.backfill(pool, fromBlock, toBlock));
+    }
+
+    return {
+      data: { chainId: chain.chainId, pools: results },
+      text: results.length === 0
+        ? ['No pools to index']
+        : results.map((result) => `${result.pool}: ${result.events} events in blocks ${result.fromBlock}-${result.toBlock}`)
+    };
+  },
+
+  snapshot: async (chain, args, options) => {
+    if (options.block === undefined) throw new UsageError('snapshot needs --block');
+    const [block, addresses] = await Promise.all([chain.provider.getBlock(options.block), chain.listPools(options.block)]);
+    if (!block) throw new Error(`Block ${options.block} does not exist yet`);
+
+    const pools = await Promise.all(addresses.map((address) => poolSummary(chain, address, options.block)));
+    const tvl = pools.reduce((sum, pool) => sum + ethers.parseEther(pool.tvl), 0n);
+
+    return {
+      data: { chainId: chain.chainId, blockNumber: options.block, timestamp: block.timestamp, tvl: ethers.formatEther(tvl), pools },
+      text: [
+        `Chain ${chain.chainId}, block ${options.block} (${new Date(block.timestamp * 1000).toISOString()})`,
+        `Total TVL ${ethers.formatEther(tvl)} ETH`,
+        '',
+        ...(pools.length === 0 ? ['No pools'] : table(poolRows(pools), POOL_COLUMNS))
+      ]
+    };
+  },
+
+  'tokens check': async (chain) => {
+    const { list, rejected, problems } = await loadTokenList(chain.chainId, chain.provider);
+    const rows = list.tokens.map((token) => ({ symbol: token.symbol, address: token.address, decimals: token.decimals, name: token.name }));
+
+    return {
+      exitCode: rejected.length + problems.length > 0 ? 1 : 0,
+      data: { chainId: chain.chainId, list, rejected, problems },
+      text: [
+        `${list.name} v${list.version.major}.${list.version.minor}.${list.version.patch}: ${list.tokens.length} tokens, ${rejected.length} rejected`,
+        ...(rows.length > 0 ? ['', ...table(rows, ['symbol', 'address', 'decimals', 'name'])] : []),
+        ...problems.map((problem) => `FAIL  ${problem}`),
+        ...rejected.map((entry) => `FAIL  ${entry.symbol ?? '?'} ${entry.address ?? '?'} (${entry.source}): ${entry.reasons.join('; ')}`)
+      ]
+    };
+  },
+
+  health: async (chain) => {
+    const { chains } = await checkReadiness({ [chain.chainId]: chain.contracts }, getProvider, {
+      timeout: parseInt(process.env.READY_TIMEOUT || '3000')
+    });
+    const result = chains[chain.chainId] ?? { ready: false, rpc: { ok: false, error: 'no contracts configured' } };
+    const endpoints = result.rpc.endpoints ?? rpcStatus()[chain.chainId]?.endpoints ?? [];
+
+    const check = (ok) => (ok ? 'ok  ' : 'FAIL');
+    return {
+      exitCode: result.ready ? 0 : 1,
+      data: { chainId: chain.chainId, ...result },
+      text: [
+        `Chain ${chain.chainId}: ${result.ready ? 'ready' : 'NOT READY'}`,
+        `${check(result.rpc.ok)}  RPC ${result.rpc.ok ? `block ${result.rpc.blockNumber}, ${result.rpc.latencyMs}ms` : result.rpc.error}`,
+        ...endpoints.map((endpoint) => `        ${endpoint.healthy ? 'up  ' : 'down'}  ${endpoint.endpoint}` +
+          (endpoint.healthy ? ` ${endpoint.latencyMs ?? '?'}ms, block ${endpoint.blockNumber ?? '?'}` : ` (${endpoint.error})`)),
+        ...(result.chainId ? [`${check(result.chainId.ok)}  Chain ID ${result.chainId.actual ?? '?'} (expected ${result.chainId.expected})`] : []),
+        ...Object.entries(result.contracts ?? {}).map(([name, contract]) =>
+          `${check(contract.ok)}  ${name} ${contract.address}${contract.error ? ` (${contract.error})` : contract.ok ? '' : ' has no code'}`)
+      ]
+    };
+  }
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Two-word commands ("pools list") first, then one-word ones
+  const name = commands[positionals.slice(0, 2).join(' ')] ? positionals.slice(0, 2).join(' ') : positionals[0];
+  const command = commands[name];
+  if (!command) throw new UsageError(`Unknown command "${positionals.join(' ')}"`);
+
+  const options = {
+    ...values,
+    block: blockOption(values.block, 'block'),
+    'from-block': blockOption(values['from-block'], 'from-block'),
+    'to-block': blockOption(values['to-block'], 'to-block')
+  };
+  const chain = await openChain(values.chain);
+  const { data, text, exitCode = 0 } = await command(chain, positionals.slice(name.split(' ').length), options);
+
+  console.log(values.json ? JSON.stringify(data, null, 2) : text.join('\n'));
+  process.exitCode = exitCode;
+};
+
+main()
+  .catch((err) => {
+    const json = process.argv.includes('--json');
+    const message = err.shortMessage ?? err.message;
+    if (json) {
+      console.error(JSON.stringify({ error: message, code: err instanceof UsageError ? 'USAGE' : err.code ?? 'ERROR' }));
+    } else {
+      console.error(`Error: ${message}`);
+      if (err instanceof UsageError) console.error('Run node cli.js --help for usage');
+    }
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  })
+  // Probe timers and pending batches must not keep the process alive
+  .finally(() => process.exit());
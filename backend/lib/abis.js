@@ -0,0 +1,45 @@
+// Contract ABIs (simplified)
+// Event signatures mirror frontend/src/contracts/abis.js so both sides decode logs identically.
+const POOL_ABI = [
+  "function reserveETH() view returns (uint256)",
+  "function reserveToken() view returns (uint256)",
+  "function totalLiquidity() view returns (uint256)",
+  "function token() view returns (address)",
+  "function liquidityBalance(address) view returns (uint256)",
+  "event LiquidityAdded(address indexed provider, uint256 ethAmount, uint256 tokenAmount, uint256 liquidityMinted)",
+  "event LiquidityRemoved(address indexed provider, uint256 ethAmount, uint256 tokenAmount, uint256 liquidityBurned)",
+  "event Swap(address indexed user, uint256 ethIn, uint256 tokenIn, uint256 ethOut, uint256 tokenOut)",
+  "event Sync(uint256 reserveETH, uint256 reserveToken)"
+];
+
+// State-changing pool methods and the custom errors they revert with (see src/LiquidityPool.sol)
+const POOL_WRITE_ABI = [
+  "function swapETHForToken(uint256 minTokensOut) payable returns (uint256 tokensOut)",
+  "function swapTokenForETH(uint256 tokenIn, uint256 minETHOut) returns (uint256 ethOut)",
+  "function addLiquidity(uint256 tokenAmount) payable returns (uint256 liquidity)",
+  "function removeLiquidity(uint256 liquidityAmount, uint256 minETH, uint256 minTokens) returns (uint256 ethAmount, uint256 tokenAmount)",
+  "error ReentrancyGuard()",
+  "error ZeroLiquidity()",
+  "error InsufficientLiquidity()",
+  "error InsufficientOutputAmount()",
+  "error InsufficientInputAmount()",
+  "error SlippageExceeded()",
+  "error InvalidRecipient()",
+  "error TransferFailed()",
+  "error ZeroAddress()"
+];
+
+const TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+const FACTORY_ABI = [
+  "function getPool(address token) view returns (address)",
+  "function allPoolsLength() view returns (uint256)",
+  "function getAllPools() view returns (address[])",
+  "event PoolCreated(address indexed token, address indexed pool, uint256 poolIndex)"
+];
+
+module.exports = { POOL_ABI, POOL_WRITE_ABI, TOKEN_ABI, FACTORY_ABI };
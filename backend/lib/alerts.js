@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { ethers } = require('ethers');
+const { createStore } = require('./store');
+const { ApiError, ERROR_CODES } = require('./errors');
+const { scaledPrice, formatPrice } = require('./amm');
+
+const RULE_TYPES = ['price_cross', 'large_swap', 'liquidity_removed'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+// First retry delay (ms); doubles on every further attempt
+const RETRY_BASE = parseInt(process.env.WEBHOOK_RETRY_BASE || '2000');
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT || '5000');
+// Let webhooks reach private and loopback addresses (local development only)
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+// Deliveries kept in the log (oldest dropped first)
+const MAX_DELIVERIES = 1000;
+
+const invalid = (message) => new ApiError(400, ERROR_CODES.INVALID_PARAMETER, message);
+
+/**
+ * Check and normalise the type-specific condition of a rule:
+ *   price_cross        { price (tokens per ETH, decimal), direction: above | below | any }
+ *   large_swap         { minETH (wei): ETH in or out of a single swap }
+ *   liquidity_removed  { percent (of pool ETH), window (seconds, default 3600) }
+ */
+const parseCondition = (type, input) => {
+  if (type === 'price_cross') {
+    const { price, direction = 'any' } = input;
+    if (typeof price !== 'string' && typeof price !== 'number') throw invalid('price is required');
+    try {
+      if (ethers.parseUnits(String(price), 18) <= 0n) throw new Error();
+    } catch {
+      throw invalid('price must be a positive decimal (tokens per ETH)');
+    }
+    if (!['above', 'below', 'any'].includes(direction)) throw invalid('direction must be one of: above, below, any');
+    return { price: String(price), direction };
+  }
+
+  if (type === 'large_swap') {
+    const { minETH } = input;
+    if (!/^\d+$/.test(String(minETH ?? '')) || BigInt(minETH) === 0n) {
+      throw new ApiError(400, ERROR_CODES.INVALID_AMOUNT, 'minETH must be a positive integer in wei');
+    }
+    return { minETH: String(minETH) };
+  }
+
+  const { percent, window = 3600 } = input;
+  if (typeof percent !== 'number' || !(percent > 0 && percent <= 100)) throw invalid('percent must be a number above 0, up to 100');
+  if (!Number.isInteger(window) || window <= 0) throw invalid('window must be a positive number of seconds');
+  return { percent, window };
+};
+
+// Webhooks must not reach the server's own network: unspecified, loopback, private, CGNAT,
+// link-local (cloud metadata), multicast and reserved ranges, and IPv4-mapped IPv6 forms of them
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const isBlockedAddress = (address) => !ALLOW_PRIVATE && BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const blockedError = (hostname, address) =>
+  Object.assign(new Error(`${hostname} resolves to a private address (${address})`), { code: 'EBLOCKED' });
+
+// Brackets are kept around IPv6 literals by URL
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * dns.lookup for webhook requests: fails when the host resolves to a blocked address. Used as the
+ * socket's lookup, so the address checked is the one connected to (no DNS rebinding window).
+ * Sockets skip the lookup for IP literals, so postWebhook checks those itself.
+ */
+const safeLookup = (hostname, options, callback) => {
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) return callback(blockedError(hostname, hostname));
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const parseWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw invalid('webhookUrl must be a URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throw invalid('webhookUrl must be http(s)');
+
+  const hostname = hostOf(url);
+  await new Promise((resolve, reject) => safeLookup(hostname, { all: true }, (err) => {
+    if (!err) return resolve();
+    reject(invalid(err.code === 'EBLOCKED' ? 'webhookUrl must not point to a private, loopback or link-local address' : `webhookUrl host ${hostname} does not resolve`));
+  }));
+  return url.toString();
+};
+
+/**
+ * POST a delivery without following redirects, so a public URL can't bounce the request inward.
+ * Resolves with the response status.
+ */
+const postWebhook = (webhookUrl, headers, body) => new Promise((resolve, reject) => {
+  const url = new URL(webhookUrl);
+  const hostname = hostOf(url);
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) return reject(blockedError(hostname, hostname));
+  const req = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: safeLookup,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  }, (res) => {
+    res.resume();
+    resolve(res.statusCode);
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+/**
+ * Header value proving a delivery came from us: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">.
+ * Receivers recompute the HMAC with the rule's secret and reject stale timestamps.
+ */
+const sign = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Rules belong to the caller's API key (stored hashed); without one there is no owner to scope them to
+const ownerFor = (apiKey) => {
+  if (!apiKey) throw new ApiError(401, ERROR_CODES.INVALID_API_KEY, 'Alert rules require an x-api-key');
+  return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+};
+
+// Rules are returned without their signing secret, which is only shown once on creation
+const publicRule = ({ secret, owner, ...rule }) => rule;
+
+/**
+ * Alert rules evaluated against indexed pool events, delivered as signed webhooks.
+ * Rules and the delivery log live in the `alerts` store; rules are scoped to the API key
+ * that created them. Only events indexed after a rule was
+ * created can trigger it, so a backfill never replays old alerts.
+ */
+function createAlertEngine({ getTokenDecimals }) {
+  const store = createStore('alerts', { rules: [], deliveries: [] });
+  const { data } = store;
+  const unsubscribers = [];
+  const retryTimers = new Set();
+
+  // Latest Sync reserves per pool, so price crossings and pool size are known between batches
+  const reserves = new Map();
+  const poolKey = (chainId, pool) => `${chainId}:${pool}`;
+
+  const findRule = (owner, id) => {
+    const rule = data.rules.find((r) => r.id === id && r.owner === owner);
+    if (!rule) throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'Rule not found');
+    return rule;
+  };
+
+  const logAttempt = (delivery, attempt) => {
+    delivery.attempts.push(attempt);
+    store.save();
+  };
+
+  const send = async (delivery) => {
+    const rule = data.rules.find((r) => r.id === delivery.ruleId);
+    if (!rule) {
+      delivery.status = 'failed';
+      logAttempt(delivery, { at: new Date().toISOString(), error: 'Rule deleted' });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let outcome;
+
+    try {
+      const status = await postWebhook(rule.webhookUrl, {
+        'Content-Type': 'application/json',
+        'X-AMM-Delivery': delivery.id,
+        'X-AMM-Signature': sign(rule.secret, timestamp, body)
+      }, body);
+      outcome = { at: new Date().toISOString(), status };
+      if (status >= 200 && status < 300) delivery.status = 'delivered';
+    } catch (err) {
+      outcome = { at: new Date().toISOString(), error: err.message };
+      // A webhook that now resolves to a private address won't stop doing so on retry
+      if (err.code === 'EBLOCKED') delivery.status = 'failed';
+    }
+
+    if (delivery.status !== 'delivered' && delivery.attempts.length + 1 >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    }
+    logAttempt(delivery, outcome);
+
+    if (delivery.status === 'pending') {
+      const timer = setTimeout(() => {
+        retryTimers.delete(timer);
+        send(delivery);
+      }, RETRY_BASE * 2 ** (delivery.attempts.length - 1));
+      timer.unref();
+      retryTimers.add(timer);
+    }
+  };
+
+  const deliver = (rule, payload) => {
+    const delivery = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      payload: { deliveryId: null, ruleId: rule.id, type: rule.type, chainId: rule.chainId, pool: rule.pool, ...payload },
+      attempts: []
+    };
+    delivery.payload.deliveryId = delivery.id;
+
+    data.deliveries.push(delivery);
+    if (data.deliveries.length > MAX_DELIVERIES) data.deliveries.splice(0, data.deliveries.length - MAX_DELIVERIES);
+    store.save();
+    send(delivery);
+  };
+
+  const trigger = (rule, event, details) => {
+    rule.lastTriggeredAt = new Date().toISOString();
+    rule.lastTriggeredTime = event.timestamp;
+    rule.triggerCount += 1;
+    deliver(rule, { triggeredAt: rule.lastTriggeredAt, details, event });
+  };
+
+  const evaluate = (chainId, indexer, event, rules) => {
+    const key = poolKey(chainId, event.pool);
+
+    if (event.type === 'Sync') {
+      const previous = reserves.get(key);
+      const current = { reserveETH: BigInt(event.args.reserveETH), reserveToken: BigInt(event.args.reserveToken) };
+      reserves.set(key, current);
+      if (!previous) return;
+
+      const decimals = getTokenDecimals(chainId, event.pool);
+      const before = scaledPrice(previous.reserveETH, previous.reserveToken, decimals);
+      const after = scaledPrice(current.reserveETH, current.reserveToken, decimals);
+
+      for (const rule of rules.filter((r) => r.type === 'price_cross')) {
+        const threshold = ethers.parseUnits(rule.condition.price, 18);
+        const crossedUp = before < threshold && after >= threshold;
+        const crossedDown = before > threshold && after <= threshold;
+        const { direction } = rule.condition;
+        if ((crossedUp && direction !== 'below') || (crossedDown && direction !== 'above')) {
+          trigger(rule, event, { direction: crossedUp ? 'above' : 'below', priceBefore: formatPrice(before), priceAfter: formatPrice(after) });
+        }
+      }
+    } else if (event.type === 'Swap') {
+      const ethAmount = BigInt(event.args.ethIn) > 0n ? BigInt(event.args.ethIn) : BigInt(event.args.ethOut);
+      for (const rule of rules.filter((r) => r.type === 'large_swap')) {
+        if (ethAmount >= BigInt(rule.condition.minETH)) {
+          trigger(rule, event, { ethAmount: ethAmount.toString() });
+        }
+      }
+    } else if (event.type === 'LiquidityRemoved') {
+      const matching = rules.filter((r) => r.type === 'liquidity_removed');
+      if (matching.length === 0) return;
+
+      // The removal's own Sync precedes it, so these reserves are already post-withdrawal
+      const reserveETH = reserves.get(key)?.reserveETH ?? 0n;
+
+      for (const rule of matching) {
+        const { percent, window } = rule.condition;
+        // One alert per window: a pull split over many transactions shouldn't page repeatedly
+        if (rule.lastTriggeredTime && event.timestamp < rule.lastTriggeredTime + window) continue;
+
+        const removedETH = indexer
+          .list({ pool: event.pool, types: ['LiquidityRemoved'], fromTime: event.timestamp - window, toTime: event.timestamp })
+          .filter((e) => e.blockNumber > rule.createdBlock)
+          .reduce((sum, e) => sum + BigInt(e.args.ethAmount), 0n);
+
+        // Pool size before this window's withdrawals
+        const poolETH = reserveETH + removedETH;
+        const removedBps = poolETH > 0n ? (removedETH * 10000n) / poolETH : 0n;
+        if (removedBps >= BigInt(Math.round(percent * 100))) {
+          trigger(rule, event, { removedETH: removedETH.toString(), poolETH: poolETH.toString(), percentRemoved: (Number(removedBps) / 100).toFixed(2), window });
+        }
+      }
+    }
+  };
+
+  /**
+   * Evaluate rules for one chain as its indexer reports new events.
+   */
+  const attach = (chainId, indexer) => {
+    for (const event of indexer.list({ types: ['Sync'] })) {
+      reserves.set(poolKey(chainId, event.pool), { reserveETH: BigInt(event.args.reserveETH), reserveToken: BigInt(event.args.reserveToken) });
+    }
+
+    unsubscribers.push(indexer.subscribe((events) => {
+      const active = data.rules.filter((rule) => rule.enabled && rule.chainId === Number(chainId));
+      for (const event of events) {
+        const rules = active.filter((rule) => rule.pool === event.pool && event.blockNumber > rule.createdBlock);
+        evaluate(chainId, indexer, event, rules);
+      }
+      if (active.length > 0) store.save();
+    }));
+  };
+
+  // Resume retries that were still pending when the process stopped
+  const start = () => {
+    for (const delivery of data.deliveries.filter((d) => d.status === 'pending')) {
+      send(delivery);
+    }
+  };
+
+  const stop = () => {
+    for (const unsubscribe of unsubscribers.splice(0)) unsubscribe();
+    for (const timer of retryTimers) clearTimeout(timer);
+    retryTimers.clear();
+  };
+
+  const createRule = async (owner, { chainId, pool, type, webhookUrl, condition, headBlock }) => {
+    if (!RULE_TYPES.includes(type)) throw invalid(`type must be one of: ${RULE_TYPES.join(', ')}`);
+    const parsedCondition = parseCondition(type, condition);
+    const parsedUrl = await parseWebhookUrl(webhookUrl);
+
+    const rule = {
+      id: crypto.randomUUID(),
+      owner,
+      chainId,
+      pool: pool.toLowerCase(),
+      type,
+      condition: parsedCondition,
+      webhookUrl: parsedUrl,
+      secret: crypto.randomBytes(32).toString('hex'),
+      enabled: true,
+      createdAt: new Date().toISOString(),
+      createdBlock: headBlock ?? 0,
+      lastTriggeredAt: null,
+      lastTriggeredTime: null,
+      triggerCount: 0
+    };
+
+    data.rules.push(rule);
+    store.save();
+    return { ...publicRule(rule), secret: rule.secret };
+  };
+
+  const listRules = (owner, { chainId } = {}) => data.rules
+    .filter((rule) => rule.owner === owner && (chainId === undefined || rule.chainId === chainId))
+    .map(publicRule);
+
+  const getRule = (owner, id) => publicRule(findRule(owner, id));
+
+  // Editable: enabled, webhookUrl and the condition (type, chain and pool are fixed)
+  const updateRule = async (owner, id, { enabled, webhookUrl, condition }) => {
+    const rule = findRule(owner, id);
+    if (enabled !== undefined && typeof enabled !== 'boolean') throw invalid('enabled must be true or false');
+    const parsedCondition = condition ? parseCondition(rule.type, { ...rule.condition, ...condition }) : rule.condition;
+    const parsedUrl = webhookUrl !== undefined ? await parseWebhookUrl(webhookUrl) : rule.webhookUrl;
+
+    if (enabled !== undefined) rule.enabled = enabled;
+    rule.webhookUrl = parsedUrl;
+    rule.condition = parsedCondition;
+    store.save();
+    return publicRule(rule);
+  };
+
+  const deleteRule = (owner, id) => {
+    const rule = findRule(owner, id);
+    data.rules.splice(data.rules.indexOf(rule), 1);
+    store.save();
+  };
+
+  // Deliveries newest first
+  const listDeliveries = (owner, { ruleId, status, limit = 50 } = {}) => {
+    const ruleIds = new Set(data.rules.filter((rule) => rule.owner === owner).map((rule) => rule.id));
+    return data.deliveries
+      .filter((d) => ruleIds.has(d.ruleId) && (!ruleId || d.ruleId === ruleId) && (!status || d.status === status))
+      .slice(-limit)
+      .reverse();
+  };
+
+  // Send a sample delivery so receivers can check their signature verification
+  const sendTest = (owner, id) => {
+    const rule = findRule(owner, id);
+    deliver(rule, { test: true, triggeredAt: new Date().toISOString(), details: {}, event: null });
+    return data.deliveries[data.deliveries.length - 1];
+  };
+
+  return { attach, start, stop, createRule, listRules, getRule, updateRule, deleteRule, listDeliveries, sendTest };
+}
+
+module.exports = { createAlertEngine, ownerFor, RULE_TYPES };
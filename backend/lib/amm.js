@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+
+// Constant product math with the pool's 0.3% fee (997/1000).
+// Mirrors frontend/src/utils/helpers.js and LiquidityPool.sol so quotes match on-chain results.
+
+const FEE_NUMERATOR = 997n;
+const FEE_DENOMINATOR = 1000n;
+
+/**
+ * Calculate output amount for an exact input
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  if (amountIn <= 0n || reserveIn === 0n || reserveOut === 0n) return 0n;
+
+  const amountInWithFee = amountIn * FEE_NUMERATOR;
+  const numerator = reserveOut * amountInWithFee;
+  const denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
+
+  return numerator / denominator;
+}
+
+/**
+ * Calculate required input for an exact output (rounded up, so getAmountOut(result) >= amountOut).
+ * Returns 0n when the output cannot be met by the reserves.
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut) {
+  if (amountOut <= 0n || reserveIn === 0n || reserveOut === 0n) return 0n;
+  if (amountOut >= reserveOut) return 0n;
+
+  const numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+  const denominator = (reserveOut - amountOut) * FEE_NUMERATOR;
+
+  return numerator / denominator + 1n;
+}
+
+/**
+ * Price impact in basis points: shortfall of the actual output versus the spot-price output
+ */
+function priceImpactBps(amountIn, amountOut, reserveIn, reserveOut) {
+  if (reserveIn === 0n) return 0n;
+  const idealOutput = (amountIn * reserveOut) / reserveIn;
+  if (idealOutput === 0n) return 0n;
+  return ((idealOutput - amountOut) * 10000n) / idealOutput;
+}
+
+const formatBps = (bps) => (Number(bps) / 100).toFixed(2) + '%';
+
+/**
+ * Tokens per ETH for an (eth, token) amount pair, scaled by 1e18 so it can be compared exactly
+ */
+function scaledPrice(ethAmount, tokenAmount, tokenDecimals = 18) {
+  const eth = BigInt(ethAmount);
+  if (eth === 0n) return 0n;
+  return (BigInt(tokenAmount) * 10n ** 36n) / (eth * 10n ** BigInt(tokenDecimals));
+}
+
+const formatPrice = (price) => ethers.formatUnits(price, 18);
+
+/**
+ * Quote a trade against a pool's reserves.
+ * side: 'buy' (ETH -> token) or 'sell' (token -> ETH). Pass exactly one of amountIn / amountOut.
+ * Exact input bounds the output with minimumReceived; exact output bounds the input with maximumSent.
+ * Prices are tokens per ETH. Throws an Error with code INSUFFICIENT_LIQUIDITY when the trade can't be filled.
+ */
+function buildQuote({ side, amountIn, amountOut, reserveETH, reserveToken, slippageBps = 50n, tokenDecimals = 18 }) {
+  const [reserveIn, reserveOut] = side === 'buy' ? [reserveETH, reserveToken] : [reserveToken, reserveETH];
+  const exactIn = amountIn !== undefined;
+
+  if (exactIn) {
+    amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
+  } else {
+    amountIn = getAmountIn(amountOut, reserveIn, reserveOut);
+  }
+
+  if (amountIn === 0n || amountOut === 0n) {
+    const err = new Error('Insufficient liquidity for this trade');
+    err.code = 'INSUFFICIENT_LIQUIDITY';
+    throw err;
+  }
+
+  const [ethAmount, tokenAmount] = side === 'buy' ? [amountIn, amountOut] : [amountOut, amountIn];
+  const [reserveETHAfter, reserveTokenAfter] = side === 'buy'
+    ? [reserveETH + amountIn, reserveToken - amountOut]
+    : [reserveETH - amountOut, reserveToken + amountIn];
+
+  const quote = {
+    side,
+    mode: exactIn ? 'exactIn' : 'exactOut',
+    amountIn: amountIn.toString(),
+    amountOut: amountOut.toString(),
+    slippage: formatBps(slippageBps),
+    priceBefore: formatPrice(scaledPrice(reserveETH, reserveToken, tokenDecimals)),
+    executionPrice: formatPrice(scaledPrice(ethAmount, tokenAmount, tokenDecimals)),
+    priceAfter: formatPrice(scaledPrice(reserveETHAfter, reserveTokenAfter, tokenDecimals)),
+    priceImpact: formatBps(priceImpactBps(amountIn, amountOut, reserveIn, reserveOut)),
+    fee: '0.3%'
+  };
+
+  if (exactIn) {
+    quote.minimumReceived = ((amountOut * (10000n - slippageBps)) / 10000n).toString();
+  } else {
+    quote.maximumSent = ((amountIn * (10000n + slippageBps)) / 10000n).toString();
+  }
+
+  return quote;
+}
+
+module.exports = { getAmountOut, getAmountIn, priceImpactBps, formatBps, scaledPrice, formatPrice, buildQuote };
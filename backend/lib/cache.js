@@ -0,0 +1,56 @@
+/**
+ * In-memory LRU cache with optional TTL.
+ * wrap() also de-duplicates concurrent loads of the same key.
+ */
+function createCache({ maxEntries = 1000, ttl = null } = {}) {
+  const entries = new Map();
+  const pending = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires !== null && entry.expires < Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expires: ttl === null ? null : Date.now() + ttl });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const wrap = async (key, load) => {
+    const cached = get(key);
+    if (cached !== undefined) {
+      stats.hits += 1;
+      return cached;
+    }
+    if (pending.has(key)) {
+      stats.hits += 1;
+      return pending.get(key);
+    }
+
+    stats.misses += 1;
+    const promise = load()
+      .then((value) => {
+        set(key, value);
+        return value;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, promise);
+    return promise;
+  };
+
+  return { get, set, wrap, stats, size: () => entries.size };
+}
+
+module.exports = { createCache };
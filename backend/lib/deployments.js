@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const BROADCAST_DIR = process.env.BROADCAST_DIR || path.join(ROOT_DIR, 'broadcast', 'Deploy.s.sol');
+const DEPLOYMENTS_FILE = process.env.DEPLOYMENTS_FILE || path.join(ROOT_DIR, 'deployments.json');
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+/**
+ * Build the per-chain contract map for the given chains.
+ * Layers, lowest to highest precedence: built-in defaults, Foundry broadcast artifacts,
+ * the DEPLOYMENTS_FILE JSON, and the DEPLOYMENTS env var (inline JSON, same shape).
+ */
+async function loadDeployments(chainIds) {
+  const { DEFAULT_DEPLOYMENTS, parseBroadcast, mergeDeployments } = await import('../../shared/deployments.mjs');
+
+  const broadcasts = {};
+  for (const chainId of chainIds) {
+    const file = path.join(BROADCAST_DIR, String(chainId), 'run-latest.json');
+    if (fs.existsSync(file)) {
+      broadcasts[chainId] = parseBroadcast(readJSON(file));
+    }
+  }
+
+  const fileOverrides = fs.existsSync(DEPLOYMENTS_FILE) ? readJSON(DEPLOYMENTS_FILE) : {};
+  const envOverrides = process.env.DEPLOYMENTS ? JSON.parse(process.env.DEPLOYMENTS) : {};
+
+  const merged = mergeDeployments(DEFAULT_DEPLOYMENTS, broadcasts, fileOverrides, envOverrides);
+
+  const deployments = {};
+  for (const chainId of chainIds) {
+    deployments[chainId] = {
+      factory: '',
+      token: '',
+      pool: '',
+      startBlock: 0,
+      ...merged[chainId],
+      source: broadcasts[chainId] ? 'broadcast' : 'default'
+    };
+  }
+  return deployments;
+}
+
+/**
+ * Check that every configured address has contract code. Throws listing every missing
+ * contract, so a stale address stops the server instead of silently serving zeros.
+ */
+async function verifyDeployments(deployments, getProvider) {
+  const problems = [];
+
+  await Promise.all(Object.entries(deployments).map(async ([chainId, deployment]) => {
+    const addresses = ['factory', 'token', 'pool'].filter((name) => deployment[name]);
+    if (addresses.length === 0) return;
+
+    try {
+      const provider = getProvider(chainId);
+      await Promise.all(addresses.map(async (name) => {
+        const code = await provider.getCode(deployment[name]);
+        if (code === '0x') {
+          problems.push(`chain ${chainId}: no contract code for ${name} at ${deployment[name]}`);
+        }
+      }));
+    } catch (err) {
+      problems.push(`chain ${chainId}: could not verify deployment (${err.message})`);
+    }
+  }));
+
+  if (problems.length > 0) {
+    throw new Error(`Deployment check failed:\n  ${problems.join('\n  ')}\n` +
+      'Redeploy with script/Deploy.s.sol or fix the addresses in DEPLOYMENTS_FILE / DEPLOYMENTS.');
+  }
+}
+
+module.exports = { loadDeployments, verifyDeployments };
@@ -0,0 +1,83 @@
+// Stable, machine-readable error codes returned in every error body as { error, code }
+const ERROR_CODES = {
+  UNSUPPORTED_CHAIN: 'UNSUPPORTED_CHAIN',
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  INVALID_BODY: 'INVALID_BODY',
+  INVALID_API_KEY: 'INVALID_API_KEY',
+  POOL_NOT_FOUND: 'POOL_NOT_FOUND',
+  NOT_FOUND: 'NOT_FOUND',
+  INSUFFICIENT_LIQUIDITY: 'INSUFFICIENT_LIQUIDITY',
+  RATE_LIMITED: 'RATE_LIMITED',
+  RPC_UNAVAILABLE: 'RPC_UNAVAILABLE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ethers error codes and socket errors that mean the node could not be reached or didn't answer
+const RPC_FAILURES = new Set([
+  'NETWORK_ERROR',
+  'TIMEOUT',
+  'SERVER_ERROR',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]);
+
+const isRpcFailure = (err) => RPC_FAILURES.has(err.code) || RPC_FAILURES.has(err.cause?.code);
+
+/**
+ * Map anything thrown by a route onto an ApiError. Library errors tagged with a known
+ * code (see amm.js, router.js) keep their message; unknown failures are not leaked.
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(400, ERROR_CODES.INVALID_BODY, 'Request body is not valid JSON');
+  }
+  if (err.code === 'INSUFFICIENT_LIQUIDITY') {
+    return new ApiError(400, ERROR_CODES.INSUFFICIENT_LIQUIDITY, err.message);
+  }
+  if (err.code === 'POOL_NOT_FOUND') {
+    return new ApiError(404, ERROR_CODES.POOL_NOT_FOUND, err.message);
+  }
+  if (isRpcFailure(err)) {
+    return new ApiError(503, ERROR_CODES.RPC_UNAVAILABLE, 'RPC node unavailable');
+  }
+  return new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+}
+
+// Forward rejections from async handlers to the error middleware
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+const notFound = (req, res, next) => {
+  next(new ApiError(404, ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${req.path}`));
+};
+
+// Express error middleware: must keep all four parameters
+const errorHandler = (err, req, res, next) => {
+  const apiError = toApiError(err);
+
+  if (apiError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err.message);
+  }
+  // Picked up by the request metrics middleware
+  res.locals.errorCode = apiError.code;
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(apiError.status).json({ error: apiError.message, code: apiError.code });
+};
+
+module.exports = { ERROR_CODES, ApiError, toApiError, asyncRoute, notFound, errorHandler };
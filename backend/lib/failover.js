@@ -0,0 +1,207 @@
+const { ethers } = require('ethers');
+
+// JSON-RPC errors that mean this node lacks the requested state (behind the head or pruned),
+// so another endpoint may still answer
+const STALE_STATE = /header not found|unknown block|missing trie node|block not found/i;
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_ALPHA = 0.3;
+
+// Credentials often sit in the URL path or query (e.g. /v3/<key>); only the origin is reported
+const redact = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return 'invalid-url';
+  }
+};
+
+/**
+ * JsonRpcProvider over several endpoints of one chain. Each HTTP request (a single call or a
+ * batch) goes to the healthiest endpoint, ranked by latency, and fails over to the next one on
+ * transport errors, HTTP errors and stale-state responses. Endpoints that fail are skipped until
+ * a probe sees them answer again; probes also drop endpoints lagging the head or on another chain.
+ */
+class FailoverProvider extends ethers.JsonRpcProvider {
+  constructor(urls, network, { timeout = 5000, maxLag = 5, quorum, ...options } = {}) {
+    super(urls[0], network, options);
+    this.chainId = Number(network.chainId);
+    this.timeout = timeout;
+    this.maxLag = maxLag;
+    // Endpoints that must have reached a block before it counts as the head
+    this.quorum = Math.min(quorum ?? Math.ceil(urls.length / 2), urls.length);
+    this.failovers = 0;
+    this.endpoints = urls.map((url, i) => ({
+      url,
+      // Several keys on one provider share an origin; number them to keep names unique
+      name: urls.filter((other) => redact(other) === redact(url)).length > 1 ? `${redact(url)}#${i}` : redact(url),
+      healthy: true,
+      latency: null,
+      blockNumber: null,
+      failures: 0,
+      error: null,
+      checkedAt: null
+    }));
+  }
+
+  // Healthy endpoints fastest first (unmeasured ones keep config order), then the rest as a last resort
+  ranked() {
+    const score = (endpoint) => endpoint.latency ?? 0;
+    const healthy = this.endpoints.filter((endpoint) => endpoint.healthy).sort((a, b) => score(a) - score(b));
+    const down = this.endpoints.filter((endpoint) => !endpoint.healthy).sort((a, b) => a.failures - b.failures);
+    return [...healthy, ...down];
+  }
+
+  markUp(endpoint, elapsed) {
+    endpoint.latency = endpoint.latency === null ? elapsed : endpoint.latency * (1 - LATENCY_ALPHA) + elapsed * LATENCY_ALPHA;
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.error = null;
+  }
+
+  markDown(endpoint, reason) {
+    endpoint.healthy = false;
+    endpoint.failures += 1;
+    endpoint.error = reason;
+  }
+
+  // One POST to one endpoint. ethers' own 429 retries are disabled: another endpoint answers instead.
+  // Every request (calls, failover retries, probes, quorum reads) emits debug events naming the endpoint.
+  async post(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.timeout;
+    request.setThrottleParams({ maxAttempts: 1 });
+    request.setHeader('content-type', 'application/json');
+    request.body = JSON.stringify(payload);
+
+    this.emit('debug', { action: 'sendRpcPayload', endpoint: endpoint.name, payload });
+    const started = Date.now();
+    let body;
+    try {
+      const response = await request.send();
+      response.assertOk();
+      body = response.bodyJson;
+    } catch (err) {
+      this.emit('debug', { action: 'receiveRpcError', endpoint: endpoint.name, error: err });
+      throw err;
+    }
+    this.emit('debug', { action: 'receiveRpcResult', endpoint: endpoint.name, result: body });
+    return { results: Array.isArray(body) ? body : [body], elapsed: Date.now() - started };
+  }
+
+  async _send(payload) {
+    const endpoints = this.ranked();
+    let lastError;
+
+    for (const [i, endpoint] of endpoints.entries()) {
+      if (i > 0) this.failovers += 1;
+      try {
+        const { results, elapsed } = await this.post(endpoint, payload);
+        const stale = results.find((result) => result.error && STALE_STATE.test(result.error.message));
+        if (stale && i < endpoints.length - 1) {
+          this.markDown(endpoint, stale.error.message);
+          continue;
+        }
+        this.markUp(endpoint, elapsed);
+        return results;
+      } catch (err) {
+        this.markDown(endpoint, err.shortMessage ?? err.message);
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  // Highest block reached by at least `quorum` of the given heads, or null without a quorum
+  quorumHead(blocks) {
+    const sorted = [...blocks].sort((a, b) => b - a);
+    return sorted.length >= this.quorum ? sorted[this.quorum - 1] : null;
+  }
+
+  // Drop endpoints more than maxLag blocks behind head
+  checkLag(head) {
+    for (const endpoint of this.endpoints) {
+      if (endpoint.healthy && endpoint.blockNumber !== null && head - endpoint.blockNumber > this.maxLag) {
+        this.markDown(endpoint, `${head - endpoint.blockNumber} blocks behind`);
+      }
+    }
+  }
+
+  /**
+   * Ask every endpoint for its chain ID and head block. Answering endpoints on the right chain
+   * are marked healthy (with a latency sample), then laggards are marked down. Never throws.
+   */
+  async probe() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      endpoint.checkedAt = new Date().toISOString();
+      try {
+        const { results, elapsed } = await this.post(endpoint, [
+          { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] },
+          { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }
+        ]);
+        const byId = Object.fromEntries(results.map((result) => [result.id, result]));
+        if (!byId[1]?.result || !byId[2]?.result) throw new Error(byId[1]?.error?.message ?? byId[2]?.error?.message ?? 'bad probe response');
+        if (Number(byId[1].result) !== this.chainId) {
+          this.markDown(endpoint, `wrong chain ${Number(byId[1].result)}`);
+          return;
+        }
+        endpoint.blockNumber = Number(byId[2].result);
+        this.markUp(endpoint, elapsed);
+      } catch (err) {
+        this.markDown(endpoint, err.shortMessage ?? err.message);
+      }
+    }));
+
+    const head = this.quorumHead(this.endpoints.filter((endpoint) => endpoint.healthy).map((endpoint) => endpoint.blockNumber));
+    if (head !== null) this.checkLag(head);
+  }
+
+  /**
+   * Head block that at least `quorum` endpoints have reached: the quorum-th highest answer among
+   * healthy endpoints. A single endpoint ahead on a fork (or lying) cannot move the head, and
+   * reads pinned to it can be served by the majority. Throws SERVER_ERROR without a quorum.
+   */
+  async getQuorumBlockNumber() {
+    const candidates = this.endpoints.filter((endpoint) => endpoint.healthy);
+    const asked = candidates.length >= this.quorum ? candidates : this.endpoints;
+
+    const answers = await Promise.all(asked.map(async (endpoint) => {
+      try {
+        const { results, elapsed } = await this.post(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+        if (!results[0]?.result) throw new Error(results[0]?.error?.message ?? 'bad eth_blockNumber response');
+        endpoint.blockNumber = Number(results[0].result);
+        this.markUp(endpoint, elapsed);
+        return endpoint.blockNumber;
+      } catch (err) {
+        this.markDown(endpoint, err.shortMessage ?? err.message);
+        return null;
+      }
+    }));
+
+    const blocks = answers.filter((block) => block !== null);
+    const head = this.quorumHead(blocks);
+    if (head === null) {
+      throw ethers.makeError(`block number quorum not reached (${blocks.length} of ${this.quorum} endpoints answered)`, 'SERVER_ERROR');
+    }
+    this.checkLag(head);
+    return head;
+  }
+
+  status() {
+    return {
+      quorum: this.quorum,
+      failovers: this.failovers,
+      endpoints: this.endpoints.map(({ name, healthy, latency, blockNumber, failures, error, checkedAt }) => ({
+        endpoint: name,
+        healthy,
+        latencyMs: latency === null ? null : Math.round(latency),
+        blockNumber,
+        failures,
+        error,
+        checkedAt
+      }))
+    };
+  }
+}
+
+module.exports = { FailoverProvider };
@@ -0,0 +1,518 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { buildSchema, getNamedType, GraphQLError, Kind, specifiedRules, validate: validateDocument } = require('graphql');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { useServer } = require('graphql-ws/use/ws');
+const { WebSocketServer } = require('ws');
+const { getProvider, getBlockNumber } = require('./rpc');
+const { resolvePool, readPoolState } = require('./pools');
+const { readPosition, POSITION_TYPES } = require('./positions');
+const { scaledPrice, formatPrice } = require('./amm');
+const { decodeCursor } = require('./indexer');
+const { ERROR_CODES, toApiError } = require('./errors');
+const { address, uint, integer, custom } = require('./validate');
+
+const SDL = fs.readFileSync(path.join(__dirname, '..', 'schema.graphql'), 'utf8');
+
+// Field nesting allowed per operation (pool -> swaps -> items -> user -> positions -> ...)
+const MAX_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH || '8');
+// Estimated cost allowed per operation (see costLimit)
+const MAX_COST = parseInt(process.env.GRAPHQL_MAX_COST || '5000');
+// Largest page any list field accepts
+const MAX_FIRST = 500;
+// Cost per item of fields that read chain state for every item (a position is a balance plus reserves read)
+const FIELD_WEIGHTS = { 'Pool.positions': 5, 'User.positions': 5 };
+// Events buffered per subscription while the client is slow; older ones are dropped
+const MAX_QUEUE = 1000;
+
+// Arguments are checked with the REST rules so errors carry the same codes
+const checkAddress = address();
+const checkWei = uint();
+const checkFirst = integer({ min: 1, max: MAX_FIRST });
+const checkSkip = integer();
+const checkCursor = custom((value) => decodeCursor(value) !== null, 'is not a valid cursor');
+
+const optionalAddress = (raw, name) => (raw == null ? undefined : checkAddress(raw, name).toLowerCase());
+
+/**
+ * Reject operations whose fields nest deeper than maxDepth. Nested lists multiply the work of
+ * a query, so this bounds the cost of the joins the schema allows.
+ */
+const depthLimit = (maxDepth) => (context) => {
+  const depth = (selectionSet, seen) => Math.max(0, ...selectionSet.selections.map((selection) => {
+    if (selection.kind === Kind.FIELD) return selection.selectionSet ? 1 + depth(selection.selectionSet, seen) : 0;
+    if (selection.kind === Kind.INLINE_FRAGMENT) return depth(selection.selectionSet, seen);
+    const name = selection.name.value;
+    const fragment = context.getFragment(name);
+    // Fragment cycles are reported by the standard rules
+    if (!fragment || seen.has(name)) return 0;
+    return depth(fragment.selectionSet, new Set([...seen, name]));
+  }));
+
+  return {
+    OperationDefinition(node) {
+      if (depth(node.selectionSet, new Set()) > maxDepth) {
+        context.reportError(new GraphQLError(`Operation is nested deeper than ${maxDepth} levels`, {
+          nodes: [node],
+          extensions: { code: ERROR_CODES.INVALID_PARAMETER }
+        }));
+      }
+    }
+  };
+};
+
+/**
+ * Reject operations whose estimated cost exceeds maxCost. Every field costs its weight (1 unless
+ * listed in FIELD_WEIGHTS) plus its selections, times `first` on list fields, so wide pages and
+ * aliased copies of a field add up where depthLimit alone would let them through. A `first` passed
+ * as a variable counts as MAX_FIRST, since validation runs before variables are known.
+ */
+const costLimit = (maxCost) => (context) => {
+  const schema = context.getSchema();
+
+  const pageSize = (selection, fieldDef) => {
+    const argDef = fieldDef.args.find((arg) => arg.name === 'first');
+    if (!argDef) return 1;
+    const value = selection.arguments.find((arg) => arg.name.value === 'first')?.value;
+    if (!value) return argDef.defaultValue ?? MAX_FIRST;
+    return value.kind === Kind.INT ? parseInt(value.value) : MAX_FIRST;
+  };
+
+  const cost = (selectionSet, parentType, seen) => selectionSet.selections.reduce((total, selection) => {
+    if (selection.kind === Kind.FIELD) {
+      const fieldDef = parentType?.getFields?.()[selection.name.value];
+      // Unknown fields are reported by the standard rules; __typename and introspection are free
+      if (!fieldDef) return total;
+      const children = selection.selectionSet ? cost(selection.selectionSet, getNamedType(fieldDef.type), seen) : 0;
+      const weight = FIELD_WEIGHTS[`${parentType.name}.${fieldDef.name}`] ?? 1;
+      return total + pageSize(selection, fieldDef) * (weight + children);
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType;
+      return total + cost(selection.selectionSet, type, seen);
+    }
+    const name = selection.name.value;
+    const fragment = context.getFragment(name);
+    if (!fragment || seen.has(name)) return total;
+    return total + cost(fragment.selectionSet, schema.getType(fragment.typeCondition.name.value), new Set([...seen, name]));
+  }, 0);
+
+  return {
+    OperationDefinition(node) {
+      const total = cost(node.selectionSet, schema.getRootType(node.operation), new Set());
+      if (total > maxCost) {
+        context.reportError(new GraphQLError(`Operation cost ${total} exceeds the limit of ${maxCost}; request smaller pages or fewer fields`, {
+          nodes: [node],
+          extensions: { code: ERROR_CODES.INVALID_PARAMETER }
+        }));
+      }
+    }
+  };
+};
+
+const VALIDATION_RULES = [depthLimit(MAX_DEPTH), costLimit(MAX_COST)];
+
+// Same mapping as the REST error handler: known codes keep their message, the rest is not leaked
+const toGraphQLError = (err) => {
+  if (err instanceof GraphQLError) return err;
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) console.error('GraphQL resolver failed:', err.message);
+  return new GraphQLError(apiError.message, { extensions: { code: apiError.code } });
+};
+
+const withErrors = (resolve) => async (...args) => {
+  try {
+    return await resolve(...args);
+  } catch (err) {
+    throw toGraphQLError(err);
+  }
+};
+
+/**
+ * Async iterator over an indexer's new events that pass match(event), for graphql-ws.
+ * return() (client unsubscribed or disconnected) detaches the listener.
+ */
+const eventStream = (indexer, match) => {
+  const queue = [];
+  let waiting = null;
+  let closed = false;
+
+  const unsubscribe = indexer.subscribe((events) => {
+    for (const event of events) {
+      if (!match(event)) continue;
+      if (waiting) {
+        waiting({ value: event, done: false });
+        waiting = null;
+      } else {
+        queue.push(event);
+        if (queue.length > MAX_QUEUE) queue.shift();
+      }
+    }
+  });
+
+  const close = () => {
+    closed = true;
+    unsubscribe();
+    waiting?.({ value: undefined, done: true });
+    waiting = null;
+    return Promise.resolve({ value: undefined, done: true });
+  };
+
+  return {
+    next: () => {
+      if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+      if (closed) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve) => {
+        waiting = resolve;
+      });
+    },
+    return: close,
+    throw: (err) => close().then(() => Promise.reject(err)),
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+};
+
+/**
+ * GraphQL API over the indexed events and live pool state. Served over HTTP by handler and,
+ * for subscriptions, over WebSocket (graphql-transport-ws protocol) once attach(server) is called.
+ *
+ *   requireChain(chainId)     throws UNSUPPORTED_CHAIN for chains without contracts
+ *   requireIndexer(chainId)   the chain's event indexer, or throws
+ *   chainPools(chainId)       pool addresses tracked on the chain
+ *   getRegistry(chainId)      factory pool registry, or null
+ *   apiKeys                   accepted x-api-key values (WebSocket clients pass apiKey in connectionParams)
+ *   rateLimiter               the REST rate limiter; WebSocket connections and operations are charged to it
+ *   clientIp(request)         client IP of a WebSocket upgrade request, as the rate limiter keys HTTP requests
+ */
+function createGraphQL({
+  requireChain,
+  requireIndexer,
+  chainPools,
+  getRegistry,
+  apiKeys = new Map(),
+  rateLimiter,
+  clientIp = (request) => request.socket.remoteAddress
+}) {
+  const schema = buildSchema(SDL);
+
+  const poolInfo = (chainId, poolAddress) =>
+    getRegistry(chainId)?.get(poolAddress) ?? resolvePool(chainId, getProvider(chainId), poolAddress);
+
+  const poolNode = async (chainId, poolAddress) => {
+    const info = await poolInfo(chainId, poolAddress);
+    return { chainId, ...info, address: info.poolAddress };
+  };
+
+  const userNode = (chainId, user) => ({ chainId, address: ethers.getAddress(user) });
+
+  const eventId = (event) => `${event.txHash}-${event.logIndex}`;
+
+  const swapNode = (chainId, event) => {
+    const { args } = event;
+    return {
+      chainId,
+      id: eventId(event),
+      poolAddress: event.pool,
+      userAddress: event.user,
+      side: BigInt(args.ethIn) > 0n ? 'BUY' : 'SELL',
+      ethIn: args.ethIn,
+      tokenIn: args.tokenIn,
+      ethOut: args.ethOut,
+      tokenOut: args.tokenOut,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      txHash: event.txHash,
+      timestamp: event.timestamp
+    };
+  };
+
+  const liquidityEventNode = (chainId, event) => {
+    const { args } = event;
+    const added = event.type === 'LiquidityAdded';
+    return {
+      chainId,
+      id: eventId(event),
+      type: added ? 'ADD' : 'REMOVE',
+      poolAddress: event.pool,
+      userAddress: event.user,
+      ethAmount: args.ethAmount,
+      tokenAmount: args.tokenAmount,
+      liquidity: added ? args.liquidityMinted : args.liquidityBurned,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      txHash: event.txHash,
+      timestamp: event.timestamp
+    };
+  };
+
+  const positionNode = (chainId, poolAddress, user, position) => ({
+    chainId,
+    poolAddress,
+    userAddress: user,
+    liquidity: position.liquidity,
+    shareOfPool: position.shareOfPool,
+    costBasisETH: position.costBasis.eth,
+    costBasisToken: position.costBasis.token,
+    redeemableETH: position.redeemable.eth,
+    redeemableToken: position.redeemable.token,
+    feesETH: position.fees.eth,
+    feesToken: position.fees.token,
+    positionValueETH: position.positionValueETH,
+    hodlValueETH: position.hodlValueETH,
+    impermanentLossETH: position.impermanentLossETH,
+    impermanentLossPercent: position.impermanentLossPercent,
+    firstBlock: position.firstBlock
+  });
+
+  // Every state read in one operation is pinned to the same block per chain
+  const createContext = () => {
+    const blocks = new Map();
+    const blockNumber = (chainId) => {
+      if (!blocks.has(chainId)) blocks.set(chainId, getBlockNumber(chainId));
+      return blocks.get(chainId);
+    };
+    return { blockNumber };
+  };
+
+  const readPositions = async (chainId, poolAddress, users, context) => {
+    const indexer = requireIndexer(chainId);
+    const blockNumber = await context.blockNumber(chainId);
+    const events = indexer.list({ pool: poolAddress, types: POSITION_TYPES });
+
+    const positions = await Promise.all(users.map(async (user) => {
+      const position = await readPosition({ chainId, provider: getProvider(chainId), events, poolAddress, user, blockNumber });
+      return position && positionNode(chainId, poolAddress, user, position);
+    }));
+    return positions.filter(Boolean);
+  };
+
+  const page = (first, after) => ({
+    limit: checkFirst(String(first), 'first'),
+    cursor: after == null ? undefined : checkCursor(after, 'after')
+  });
+
+  // scope (the parent pool or user) overrides the same key in where
+  const swapPage = (chainId, where = {}, first, after, scope = {}) => {
+    const filter = { ...where, ...scope };
+    const minETH = filter.minETH == null ? undefined : checkWei(filter.minETH, 'minETH');
+    const { events, nextCursor } = requireIndexer(chainId).query({
+      pool: optionalAddress(filter.pool, 'pool'),
+      user: optionalAddress(filter.user, 'user'),
+      types: ['Swap'],
+      fromBlock: filter.fromBlock ?? undefined,
+      toBlock: filter.toBlock ?? undefined,
+      match: (event) => {
+        const buy = BigInt(event.args.ethIn) > 0n;
+        if (filter.side && (filter.side === 'BUY') !== buy) return false;
+        return minETH === undefined || BigInt(buy ? event.args.ethIn : event.args.ethOut) >= minETH;
+      },
+      ...page(first, after)
+    });
+    return { items: events.map((event) => swapNode(chainId, event)), nextCursor };
+  };
+
+  const liquidityEventPage = (chainId, where = {}, first, after, scope = {}) => {
+    const filter = { ...where, ...scope };
+    const types = filter.type ? [filter.type === 'ADD' ? 'LiquidityAdded' : 'LiquidityRemoved'] : ['LiquidityAdded', 'LiquidityRemoved'];
+    const { events, nextCursor } = requireIndexer(chainId).query({
+      pool: optionalAddress(filter.pool, 'pool'),
+      user: optionalAddress(filter.user, 'user'),
+      types,
+      fromBlock: filter.fromBlock ?? undefined,
+      toBlock: filter.toBlock ?? undefined,
+      ...page(first, after)
+    });
+    return { items: events.map((event) => liquidityEventNode(chainId, event)), nextCursor };
+  };
+
+  const slice = (items, first, skip) => {
+    const start = checkSkip(String(skip), 'skip');
+    return items.slice(start, start + checkFirst(String(first), 'first'));
+  };
+
+  const isTracked = (chainId, poolAddress) => chainPools(chainId).some((pool) => pool.toLowerCase() === poolAddress.toLowerCase());
+
+  const poolState = (field) => async (pool, args, context) => {
+    const blockNumber = await context.blockNumber(pool.chainId);
+    const state = await readPoolState(pool.chainId, getProvider(pool.chainId), pool.address, blockNumber, pool.tokenDecimals);
+    return state[field];
+  };
+
+  const resolvers = {
+    Query: {
+      factory: (root, { chainId }) => {
+        requireChain(chainId);
+        const registry = getRegistry(chainId);
+        return registry && { chainId, address: registry.factoryAddress, registry };
+      },
+      pools: (root, { chainId, first, skip }) => {
+        requireChain(chainId);
+        return Promise.all(slice(chainPools(chainId), first, skip).map((pool) => poolNode(chainId, pool)));
+      },
+      pool: (root, { chainId, address: raw }) => {
+        requireChain(chainId);
+        const poolAddress = checkAddress(raw, 'address');
+        return isTracked(chainId, poolAddress) ? poolNode(chainId, poolAddress) : null;
+      },
+      token: async (root, { chainId, address: raw }) => {
+        requireChain(chainId);
+        const tokenAddress = checkAddress(raw, 'address').toLowerCase();
+        const infos = await Promise.all(chainPools(chainId).map((pool) => poolInfo(chainId, pool)));
+        const info = infos.find((pool) => pool.tokenAddress.toLowerCase() === tokenAddress);
+        return info ? { chainId, ...info, address: info.tokenAddress, name: info.tokenName, symbol: info.tokenSymbol, decimals: info.tokenDecimals } : null;
+      },
+      user: (root, { chainId, address: raw }) => {
+        requireChain(chainId);
+        return userNode(chainId, checkAddress(raw, 'address'));
+      },
+      swaps: (root, { chainId, where, first, after }) => swapPage(chainId, where ?? undefined, first, after),
+      liquidityEvents: (root, { chainId, where, first, after }) => liquidityEventPage(chainId, where ?? undefined, first, after)
+    },
+
+    Factory: {
+      poolCount: (factory) => factory.registry.list().length,
+      pools: (factory, { first, skip }) =>
+        Promise.all(slice(factory.registry.list(), first, skip).map((pool) => poolNode(factory.chainId, pool.poolAddress)))
+    },
+
+    Pool: {
+      token: (pool) => ({
+        chainId: pool.chainId,
+        poolAddress: pool.address,
+        address: pool.tokenAddress,
+        name: pool.tokenName,
+        symbol: pool.tokenSymbol,
+        decimals: pool.tokenDecimals
+      }),
+      poolIndex: (pool) => pool.poolIndex ?? null,
+      createdBlock: (pool) => pool.createdBlock ?? null,
+      blockNumber: (pool, args, context) => context.blockNumber(pool.chainId),
+      reserveETH: poolState('reserveETH'),
+      reserveToken: poolState('reserveToken'),
+      totalLiquidity: poolState('totalLiquidity'),
+      price: poolState('price'),
+      tvl: poolState('tvl'),
+      swaps: (pool, { where, first, after }) => swapPage(pool.chainId, where ?? undefined, first, after, { pool: pool.address }),
+      liquidityEvents: (pool, { where, first, after }) =>
+        liquidityEventPage(pool.chainId, where ?? undefined, first, after, { pool: pool.address }),
+      positions: async (pool, { first, skip }, context) => {
+        // LP balances only change by adding or removing liquidity, so the indexed net mint ranks
+        // providers without reading every balance; only the requested page is read from the chain
+        const events = requireIndexer(pool.chainId).list({ pool: pool.address, types: ['LiquidityAdded', 'LiquidityRemoved'] });
+        const balances = new Map();
+        for (const { user, type, args } of events) {
+          const change = type === 'LiquidityAdded' ? BigInt(args.liquidityMinted) : -BigInt(args.liquidityBurned);
+          balances.set(user, (balances.get(user) ?? 0n) + change);
+        }
+        const providers = [...balances].sort(([, a], [, b]) => (b > a ? 1 : b < a ? -1 : 0)).map(([user]) => user);
+        const positions = await readPositions(pool.chainId, pool.address, slice(providers, first, skip), context);
+        return positions.sort((a, b) => (BigInt(b.liquidity) > BigInt(a.liquidity) ? 1 : BigInt(b.liquidity) < BigInt(a.liquidity) ? -1 : 0));
+      }
+    },
+
+    Token: {
+      pool: (token) => poolNode(token.chainId, token.poolAddress)
+    },
+
+    User: {
+      swaps: (user, { where, first, after }) => swapPage(user.chainId, where ?? undefined, first, after, { user: user.address }),
+      liquidityEvents: (user, { where, first, after }) =>
+        liquidityEventPage(user.chainId, where ?? undefined, first, after, { user: user.address }),
+      positions: async (user, { first, skip }, context) => {
+        // Only pools the user has added liquidity to can hold a position; page those before reading
+        const userAddress = user.address.toLowerCase();
+        const provided = new Set(requireIndexer(user.chainId).list({ types: ['LiquidityAdded'] })
+          .filter((event) => event.user === userAddress)
+          .map((event) => event.pool.toLowerCase()));
+        const pools = chainPools(user.chainId).filter((pool) => provided.has(pool.toLowerCase()));
+        const perPool = await Promise.all(slice(pools, first, skip).map((pool) =>
+          readPositions(user.chainId, pool, [user.address], context)));
+        return perPool.flat();
+      }
+    },
+
+    Swap: {
+      pool: (swap) => poolNode(swap.chainId, swap.poolAddress),
+      user: (swap) => userNode(swap.chainId, swap.userAddress),
+      price: async (swap) => {
+        const { tokenDecimals } = await poolInfo(swap.chainId, swap.poolAddress);
+        const [ethAmount, tokenAmount] = swap.side === 'BUY' ? [swap.ethIn, swap.tokenOut] : [swap.ethOut, swap.tokenIn];
+        return formatPrice(scaledPrice(ethAmount, tokenAmount, tokenDecimals ?? 18));
+      }
+    },
+
+    LiquidityEvent: {
+      pool: (event) => poolNode(event.chainId, event.poolAddress),
+      user: (event) => userNode(event.chainId, event.userAddress)
+    },
+
+    Position: {
+      pool: (position) => poolNode(position.chainId, position.poolAddress),
+      user: (position) => userNode(position.chainId, position.userAddress)
+    }
+  };
+
+  for (const [typeName, fields] of Object.entries(resolvers)) {
+    const schemaFields = schema.getType(typeName).getFields();
+    for (const [name, resolve] of Object.entries(fields)) {
+      schemaFields[name].resolve = withErrors(resolve);
+    }
+  }
+
+  const swapsField = schema.getSubscriptionType().getFields().swaps;
+  swapsField.subscribe = withErrors((root, { chainId, pool, user }) => {
+    const indexer = requireIndexer(chainId);
+    const poolFilter = optionalAddress(pool, 'pool');
+    const userFilter = optionalAddress(user, 'user');
+    return eventStream(indexer, (event) =>
+      event.type === 'Swap' && (!poolFilter || event.pool === poolFilter) && (!userFilter || event.user === userFilter));
+  });
+  swapsField.resolve = (event, { chainId }) => swapNode(chainId, event);
+
+  const handler = createHandler({
+    schema,
+    context: () => createContext(),
+    validationRules: VALIDATION_RULES
+  });
+
+  // Charge one request to the connection's API key (or its IP); returns the ApiError when refused
+  const chargeSocket = (ctx) => {
+    if (!rateLimiter) return null;
+    try {
+      rateLimiter.consume(ctx.connectionParams?.apiKey, clientIp(ctx.extra.request));
+      return null;
+    } catch (err) {
+      return err;
+    }
+  };
+
+  /**
+   * Serve subscriptions on the HTTP server's upgrade requests to `path`. An apiKey in
+   * connectionParams must be a configured key, like x-api-key on HTTP requests. Connecting and
+   * every operation count against the same rate limit as HTTP requests.
+   */
+  const attach = (server, wsPath) => {
+    const wsServer = new WebSocketServer({ server, path: wsPath });
+    useServer({
+      schema,
+      context: () => createContext(),
+      validate: (schemaToCheck, document) => validateDocument(schemaToCheck, document, [...specifiedRules, ...VALIDATION_RULES]),
+      onConnect: (ctx) => {
+        if (ctx.connectionParams?.apiKey && !apiKeys.has(ctx.connectionParams.apiKey)) return false;
+        return !chargeSocket(ctx);
+      },
+      onSubscribe: (ctx) => {
+        const err = chargeSocket(ctx);
+        return err ? [new GraphQLError(err.message, { extensions: { code: err.code } })] : undefined;
+      }
+    }, wsServer);
+    return wsServer;
+  };
+
+  return { schema, handler, attach };
+}
+
+module.exports = { createGraphQL };
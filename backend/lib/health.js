@@ -0,0 +1,62 @@
+const CONTRACT_NAMES = ['factory', 'token', 'pool'];
+
+const withTimeout = (promise, ms, what) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Check one chain end to end: the node answers, reports the expected chain ID,
+ * and every configured contract has code. Never throws; failures are reported per check.
+ */
+async function checkChain(chainId, contracts, provider, timeout) {
+  const started = Date.now();
+  const result = { ready: false, rpc: { ok: false }, chainId: { ok: false, expected: Number(chainId) }, contracts: {} };
+
+  try {
+    const [blockNumber, reportedChainId] = await withTimeout(Promise.all([
+      provider.getBlockNumber(),
+      provider.send('eth_chainId', [])
+    ]), timeout, 'RPC');
+
+    result.rpc = { ok: true, blockNumber, latencyMs: Date.now() - started };
+    result.chainId = { ok: Number(reportedChainId) === Number(chainId), expected: Number(chainId), actual: Number(reportedChainId) };
+  } catch (err) {
+    result.rpc = { ok: false, error: err.message };
+  }
+  // Per-endpoint health from the failover provider (the checks above use the best endpoint)
+  result.rpc.endpoints = provider.status().endpoints;
+  if (!result.rpc.ok) return result;
+
+  const names = CONTRACT_NAMES.filter((name) => contracts[name]);
+  await Promise.all(names.map(async (name) => {
+    try {
+      const code = await withTimeout(provider.getCode(contracts[name]), timeout, `getCode(${name})`);
+      result.contracts[name] = { address: contracts[name], ok: code !== '0x' };
+    } catch (err) {
+      result.contracts[name] = { address: contracts[name], ok: false, error: err.message };
+    }
+  }));
+
+  result.ready = result.chainId.ok && Object.values(result.contracts).every((contract) => contract.ok);
+  return result;
+}
+
+/**
+ * Readiness of every chain that has contracts configured.
+ */
+async function checkReadiness(deployments, getProvider, { timeout = 3000 } = {}) {
+  const entries = Object.entries(deployments).filter(([, contracts]) => CONTRACT_NAMES.some((name) => contracts[name]));
+
+  const results = await Promise.all(entries.map(([chainId, contracts]) =>
+    checkChain(chainId, contracts, getProvider(chainId), timeout)
+  ));
+
+  const chains = Object.fromEntries(entries.map(([chainId], i) => [chainId, results[i]]));
+  return { ready: results.every((chain) => chain.ready), chains };
+}
+
+module.exports = { checkReadiness };
@@ -0,0 +1,109 @@
+const { ethers } = require('ethers');
+const { createCache } = require('./cache');
+const { scaledPrice, formatPrice } = require('./amm');
+
+// Receipts of indexed transactions are final, so their fees are cached for good
+const feeCache = createCache({ maxEntries: 20000 });
+
+const HISTORY_TYPES = ['Swap', 'LiquidityAdded', 'LiquidityRemoved'];
+
+// Receipt requests in flight at once per export
+const RECEIPT_CONCURRENCY = 8;
+
+const CSV_COLUMNS = [
+  'date', 'timestamp', 'blockNumber', 'txHash', 'pool', 'token', 'action',
+  'ethAmount', 'tokenAmount', 'price', 'lpTokens', 'gasPaidETH'
+];
+
+/**
+ * Fee paid by `address` for each transaction: gasUsed * effective gas price when it sent
+ * the transaction, 0 when someone else did (e.g. a relayer or contract wallet).
+ */
+async function fetchGasFees(chainId, provider, txHashes, address) {
+  const sender = address.toLowerCase();
+  const fees = new Map();
+  let next = 0;
+
+  // A fixed set of workers takes the next hash until none are left
+  const worker = async () => {
+    while (next < txHashes.length) {
+      const txHash = txHashes[next++];
+      const receipt = await feeCache.wrap(`${chainId}:${txHash}`, async () => {
+        const r = await provider.getTransactionReceipt(txHash);
+        return r ? { from: r.from.toLowerCase(), fee: r.fee } : null;
+      });
+      fees.set(txHash, receipt && receipt.from === sender ? receipt.fee : 0n);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(RECEIPT_CONCURRENCY, txHashes.length) }, worker));
+  return fees;
+}
+
+/**
+ * One row per Swap / LiquidityAdded / LiquidityRemoved event of a wallet, in chain order.
+ * Amounts are decimal strings in ETH and token units; price is tokens per ETH for the
+ * event's own amounts. Gas is counted once per transaction, on its first row.
+ */
+function buildHistory(events, { poolInfo, gasFees }) {
+  const charged = new Set();
+
+  return events.map((event) => {
+    const { args } = event;
+    const { tokenSymbol, tokenDecimals } = poolInfo(event.pool);
+    const decimals = tokenDecimals ?? 18;
+
+    let action;
+    let ethAmount;
+    let tokenAmount;
+    let lpTokens = 0n;
+
+    if (event.type === 'Swap') {
+      const buy = BigInt(args.ethIn) > 0n;
+      action = buy ? 'buy' : 'sell';
+      ethAmount = buy ? BigInt(args.ethIn) : BigInt(args.ethOut);
+      tokenAmount = buy ? BigInt(args.tokenOut) : BigInt(args.tokenIn);
+    } else {
+      const added = event.type === 'LiquidityAdded';
+      action = added ? 'add_liquidity' : 'remove_liquidity';
+      ethAmount = BigInt(args.ethAmount);
+      tokenAmount = BigInt(args.tokenAmount);
+      lpTokens = added ? BigInt(args.liquidityMinted) : -BigInt(args.liquidityBurned);
+    }
+
+    const gas = charged.has(event.txHash) ? 0n : gasFees.get(event.txHash) ?? 0n;
+    charged.add(event.txHash);
+
+    return {
+      date: new Date(event.timestamp * 1000).toISOString(),
+      timestamp: event.timestamp,
+      blockNumber: event.blockNumber,
+      txHash: event.txHash,
+      pool: event.pool,
+      token: tokenSymbol ?? '',
+      action,
+      ethAmount: ethers.formatEther(ethAmount),
+      tokenAmount: ethers.formatUnits(tokenAmount, decimals),
+      price: formatPrice(scaledPrice(ethAmount, tokenAmount, decimals)),
+      // LP units share the 18-decimal scale of sqrt(ETH * token)
+      lpTokens: ethers.formatEther(lpTokens),
+      gasPaidETH: ethers.formatEther(gas)
+    };
+  });
+}
+
+// Spreadsheets run cells starting with these as formulas; token symbols come from the token contract
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+const csvCell = (value) => {
+  let text = String(value ?? '');
+  // Negative amounts (lpTokens on removals) stay numbers
+  if (FORMULA_PREFIX.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (rows) =>
+  [CSV_COLUMNS.join(','), ...rows.map((row) => CSV_COLUMNS.map((column) => csvCell(row[column])).join(','))].join('\n') + '\n';
+
+module.exports = { fetchGasFees, buildHistory, toCSV, HISTORY_TYPES };
@@ -0,0 +1,307 @@
+const { ethers } = require('ethers');
+const { POOL_ABI } = require('./abis');
+const { createStore, createLog, lockStore } = require('./store');
+
+const EVENT_TYPES = ['Swap', 'LiquidityAdded', 'LiquidityRemoved', 'Sync'];
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+const EVENT_TOPICS = EVENT_TYPES.map((type) => poolInterface.getEvent(type).topicHash);
+
+// Max blocks per eth_getLogs request (public RPCs typically cap the range)
+const BLOCK_RANGE = parseInt(process.env.INDEXER_BLOCK_RANGE || '2000');
+const POLL_INTERVAL = parseInt(process.env.INDEXER_POLL_INTERVAL || '4000');
+// Hashes kept of the most recent blocks with events or at the end of a batch, to detect reorgs
+const REORG_WINDOW = 128;
+
+/**
+ * Turn a raw pool log into a flat, JSON-safe event record.
+ * `user` is the indexed swapper/provider; Sync events have none.
+ */
+const decodeLog = (log, timestamp) => {
+  const parsed = poolInterface.parseLog(log);
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+
+  const user = args.user || args.provider;
+
+  return {
+    type: parsed.name,
+    pool: log.address.toLowerCase(),
+    user: user ? user.toLowerCase() : null,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    timestamp,
+    args
+  };
+};
+
+// Events are kept sorted ascending by (blockNumber, logIndex), which is unique per chain
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+const encodeCursor = (event) => Buffer.from(`${event.blockNumber}:${event.logIndex}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [blockNumber, logIndex] = Buffer.from(cursor, 'base64url').toString().split(':').map(Number);
+  if (!Number.isInteger(blockNumber) || !Number.isInteger(logIndex)) return null;
+  return { blockNumber, logIndex };
+};
+
+/**
+ * Backfill and follow LiquidityPool events for one chain.
+ * Each pool keeps its own block cursor so pools can be added after startup. Cursors and block
+ * hashes live in events-<chainId>.json; events are appended to events-<chainId>.ndjson.
+ * When a recorded block hash changes, events past the last unchanged block are dropped and re-indexed.
+ * The store is locked to this process (the server, or the CLI's index command), so throws if another holds it.
+ */
+function createIndexer({ chainId, provider, confirmations = 0 }) {
+  lockStore(`events-${chainId}`);
+  const store = createStore(`events-${chainId}`, { pools: {}, blocks: {} });
+  const { data } = store;
+  const eventLog = createLog(`events-${chainId}`);
+  let events = eventLog.load();
+
+  // Stores written before the log kept every event in the JSON document
+  if (data.events) {
+    if (events.length === 0) {
+      events = data.events;
+      eventLog.rewrite(events);
+    }
+    delete data.events;
+    store.save();
+  }
+
+  // The log is in arrival order and may repeat a batch after a crash; memory is sorted and unique
+  events.sort(compareEvents);
+  events = events.filter((event, i) => i === 0 || compareEvents(event, events[i - 1]) !== 0);
+
+  let timer = null;
+  let running = false;
+  let headBlock = null;
+  const listeners = new Set();
+
+  const addPool = (address, startBlock = 0) => {
+    const key = address.toLowerCase();
+    if (!data.pools[key]) {
+      data.pools[key] = { lastBlock: startBlock - 1 };
+    }
+  };
+
+  const fetchTimestamps = async (logs) => {
+    const timestamps = {};
+    const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))];
+    await Promise.all(blockNumbers.map(async (n) => {
+      const block = await provider.getBlock(n);
+      timestamps[n] = block.timestamp;
+    }));
+    return timestamps;
+  };
+
+  // Merge a batch into the sorted events, skipping ones already stored; returns the ones added
+  const insertEvents = (batch) => {
+    batch.sort(compareEvents);
+    const last = events[events.length - 1];
+    if (!last || compareEvents(batch[0], last) > 0) {
+      events.push(...batch);
+      return batch;
+    }
+
+    const merged = [];
+    const added = [];
+    let i = 0;
+    for (const event of batch) {
+      while (i < events.length && compareEvents(events[i], event) < 0) merged.push(events[i++]);
+      if (i < events.length && compareEvents(events[i], event) === 0) continue;
+      merged.push(event);
+      added.push(event);
+    }
+    events = merged.concat(events.slice(i));
+    return added;
+  };
+
+  // Every stored event's block is recorded, so the newest recorded block still on the chain is a
+  // safe point to roll back to: nothing above it survives, nothing below it changed
+  const recordBlocks = (blocks) => {
+    for (const [number, hash] of blocks) data.blocks[number] = hash;
+    const numbers = Object.keys(data.blocks).map(Number).sort((a, b) => b - a);
+    for (const old of numbers.slice(REORG_WINDOW)) delete data.blocks[old];
+  };
+
+  const rollback = (forkBlock) => {
+    console.warn(`Indexer ${chainId}: chain reorganized, re-indexing from block ${forkBlock + 1}`);
+    events = events.filter((event) => event.blockNumber <= forkBlock);
+    eventLog.rewrite(events);
+    for (const cursor of Object.values(data.pools)) cursor.lastBlock = Math.min(cursor.lastBlock, forkBlock);
+    for (const number of Object.keys(data.blocks)) {
+      if (Number(number) > forkBlock) delete data.blocks[number];
+    }
+    store.save();
+  };
+
+  // Walk the recorded hashes from the newest down to the first that is still on the chain.
+  // A reorg deeper than the window rolls back to just below the oldest recorded block.
+  const checkReorg = async () => {
+    const numbers = Object.keys(data.blocks).map(Number).sort((a, b) => b - a);
+    for (const [i, number] of numbers.entries()) {
+      const block = await provider.getBlock(number);
+      if (block?.hash === data.blocks[number]) {
+        if (i > 0) rollback(number);
+        return;
+      }
+    }
+    if (numbers.length > 0) rollback(numbers[numbers.length - 1] - 1);
+  };
+
+  const syncPool = async (address, toBlock) => {
+    const cursor = data.pools[address];
+
+    while (cursor.lastBlock < toBlock) {
+      const fromBlock = cursor.lastBlock + 1;
+      const endBlock = Math.min(fromBlock + BLOCK_RANGE - 1, toBlock);
+      // Read before the logs: a reorg in between then shows up as a changed hash on the next tick
+      const endHash = (await provider.getBlock(endBlock))?.hash;
+
+      const logs = await provider.getLogs({
+        address,
+        fromBlock,
+        toBlock: endBlock,
+        topics: [EVENT_TOPICS]
+      });
+
+      let added = [];
+      const decoded = [];
+      const hashes = new Map();
+      if (logs.length > 0) {
+        const timestamps = await fetchTimestamps(logs);
+        for (const entry of logs) {
+          if (entry.removed) continue;
+          decoded.push(decodeLog(entry, timestamps[entry.blockNumber]));
+          hashes.set(entry.blockNumber, entry.blockHash);
+        }
+      }
+      if (endHash) hashes.set(endBlock, endHash);
+      if (decoded.length > 0) {
+        added = insertEvents(decoded);
+        eventLog.append(added);
+      }
+
+      cursor.lastBlock = endBlock;
+      recordBlocks(hashes);
+      store.save();
+
+      if (added.length > 0) {
+        for (const listener of listeners) listener(added);
+      }
+    }
+  };
+
+  const tick = async () => {
+    try {
+      const latest = await provider.getBlockNumber();
+      headBlock = latest;
+      await checkReorg();
+      const safeBlock = latest - confirmations;
+      for (const address of Object.keys(data.pools)) {
+        await syncPool(address, safeBlock);
+      }
+    } catch (err) {
+      console.error(`Indexer ${chainId} error:`, err.message);
+    } finally {
+      if (running) timer = setTimeout(tick, POLL_INTERVAL);
+    }
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    tick();
+  };
+
+  const stop = () => {
+    running = false;
+    clearTimeout(timer);
+  };
+
+  /**
+   * Re-index one pool from fromBlock to toBlock (default: the confirmed head), replacing its stored
+   * events in that range. A tracked pool is re-indexed from its cursor when that is before fromBlock,
+   * so no blocks are skipped; an untracked one starts at fromBlock. The pool's cursor never moves
+   * backwards, so following resumes where it was. Returns the range indexed and its event count.
+   */
+  const backfill = async (address, requestedFrom, toBlock) => {
+    const key = address.toLowerCase();
+    const endBlock = toBlock ?? (await provider.getBlockNumber()) - confirmations;
+    const fromBlock = data.pools[key] ? Math.min(requestedFrom, data.pools[key].lastBlock + 1) : requestedFrom;
+    const inRange = (event) => event.pool === key && event.blockNumber >= fromBlock && event.blockNumber <= endBlock;
+    const previous = data.pools[key]?.lastBlock ?? -1;
+
+    events = events.filter((event) => !inRange(event));
+    eventLog.rewrite(events);
+    data.pools[key] = { lastBlock: fromBlock - 1 };
+    await syncPool(key, endBlock);
+    data.pools[key].lastBlock = Math.max(previous, endBlock);
+    store.save();
+
+    return { pool: key, fromBlock, toBlock: endBlock, events: events.filter(inRange).length };
+  };
+
+  /**
+   * Query indexed events, newest first.
+   * Filters: pool, user, types[], fromBlock, toBlock, match(event). Pagination: cursor + limit.
+   */
+  const query = ({ pool, user, types, fromBlock, toBlock, match, cursor, limit = 50 } = {}) => {
+    const after = cursor ? decodeCursor(cursor) : null;
+    const results = [];
+
+    for (let i = events.length - 1; i >= 0 && results.length <= limit; i--) {
+      const event = events[i];
+      if (after && compareEvents(event, after) >= 0) continue;
+      if (toBlock !== undefined && event.blockNumber > toBlock) continue;
+      if (fromBlock !== undefined && event.blockNumber < fromBlock) break;
+      if (pool && event.pool !== pool.toLowerCase()) continue;
+      if (user && event.user !== user.toLowerCase()) continue;
+      if (types && !types.includes(event.type)) continue;
+      if (match && !match(event)) continue;
+      results.push(event);
+    }
+
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    return {
+      events: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    };
+  };
+
+  /**
+   * All events for a pool in chain order, optionally limited to types and a block-time window (seconds).
+   */
+  const list = ({ pool, types, fromTime, toTime } = {}) => events.filter((event) =>
+    (!pool || event.pool === pool.toLowerCase()) &&
+    (!types || types.includes(event.type)) &&
+    (fromTime === undefined || event.timestamp >= fromTime) &&
+    (toTime === undefined || event.timestamp <= toTime)
+  );
+
+  /**
+   * Call listener(events) with each batch of newly indexed events. Returns an unsubscribe function.
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const status = () => ({
+    chainId,
+    headBlock,
+    pools: Object.entries(data.pools).map(([address, { lastBlock }]) => ({ address, lastBlock })),
+    eventCount: events.length
+  });
+
+  return { addPool, start, stop, backfill, query, list, subscribe, status };
+}
+
+module.exports = { createIndexer, decodeCursor, EVENT_TYPES };
@@ -0,0 +1,114 @@
+// Minimal Prometheus registry: counters, gauges and histograms rendered in the text exposition format.
+// Metrics are process-wide; modules register theirs at load time and /metrics renders them all.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const register = (metric) => {
+  if (registry.some((m) => m.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} registered twice`);
+  }
+  registry.push(metric);
+  return metric;
+};
+
+/**
+ * Counter or gauge. Values are set through inc()/set(), or supplied at scrape time by
+ * collect(), which returns [{ labels, value }] (for values owned by another module).
+ */
+const createScalar = (type, name, help, collect) => {
+  const values = new Map();
+
+  const inc = (labels = {}, amount = 1) => {
+    const key = formatLabels(labels);
+    values.set(key, (values.get(key) || 0) + amount);
+  };
+
+  const set = (labels, value) => {
+    values.set(formatLabels(labels), value);
+  };
+
+  const samples = () => {
+    const collected = collect ? collect().map(({ labels, value }) => [formatLabels(labels), value]) : [];
+    return [...values, ...collected].map(([labels, value]) => `${name}${labels} ${value}`);
+  };
+
+  return register({ name, help, type, samples, inc, set });
+};
+
+const counter = (name, help, collect) => createScalar('counter', name, help, collect);
+const gauge = (name, help, collect) => createScalar('gauge', name, help, collect);
+
+const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+
+  const observe = (labels, value) => {
+    const key = JSON.stringify(labels);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  };
+
+  const samples = () => {
+    const lines = [];
+    for (const { labels, counts, sum, count } of series.values()) {
+      buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  };
+
+  return register({ name, help, type: 'histogram', samples, observe });
+};
+
+const render = () =>
+  registry
+    .map((metric) => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.samples()].join('\n'))
+    .join('\n') + '\n';
+
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by method, route and status');
+const httpErrors = counter('http_errors_total', 'Error responses by route and error code');
+
+/**
+ * Express middleware recording latency per matched route (the pattern, not the raw URL,
+ * so path parameters don't explode cardinality). Error codes are read from res.locals.errorCode,
+ * which the error handler sets.
+ */
+const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    if (res.locals.errorCode) {
+      httpErrors.inc({ route, code: res.locals.errorCode });
+    }
+  });
+
+  next();
+};
+
+module.exports = { counter, gauge, histogram, render, requestMetrics, CONTENT_TYPE };
@@ -0,0 +1,169 @@
+const { ethers } = require('ethers');
+const { POOL_ABI, TOKEN_ABI, FACTORY_ABI } = require('./abis');
+const { createCache } = require('./cache');
+const { scaledPrice, formatPrice } = require('./amm');
+
+const POLL_INTERVAL = parseInt(process.env.INDEXER_POLL_INTERVAL || '4000');
+// Max blocks per eth_getLogs request, shared with the event indexer
+const BLOCK_RANGE = parseInt(process.env.INDEXER_BLOCK_RANGE || '2000');
+
+const factoryInterface = new ethers.Interface(FACTORY_ABI);
+const POOL_CREATED_TOPIC = factoryInterface.getEvent('PoolCreated').topicHash;
+
+// A pool's token and the token's name/symbol/decimals never change, so they're cached for good.
+// Reserves are cached per block: a block's state is final once it's been read.
+const metadataCache = createCache({ maxEntries: 10000 });
+const reservesCache = createCache({ maxEntries: 5000 });
+
+// A reverting or undecodable call means the contract doesn't implement the method; anything else is the RPC
+const nonStandard = (err) => {
+  if (err.code === 'CALL_EXCEPTION' || err.code === 'BAD_DATA') return null;
+  throw err;
+};
+
+/**
+ * Resolve token metadata for a pool. Non-standard tokens get nulls instead of failing the pool;
+ * RPC failures reject, so they aren't cached.
+ */
+const resolvePool = (chainId, provider, poolAddress) => metadataCache.wrap(`${chainId}:${poolAddress.toLowerCase()}`, async () => {
+  const poolContract = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  const tokenAddress = await poolContract.token();
+  const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+
+  const [tokenName, tokenSymbol, tokenDecimals] = await Promise.all([
+    tokenContract.name().catch(nonStandard),
+    tokenContract.symbol().catch(nonStandard),
+    tokenContract.decimals().then(Number).catch(nonStandard)
+  ]);
+
+  return {
+    poolAddress: ethers.getAddress(poolAddress),
+    tokenAddress,
+    tokenName,
+    tokenSymbol,
+    tokenDecimals
+  };
+});
+
+/**
+ * Read a pool's reserves and LP supply, all pinned to the same block.
+ */
+const readReserves = (chainId, provider, poolAddress, blockNumber) =>
+  reservesCache.wrap(`${chainId}:${poolAddress.toLowerCase()}:${blockNumber}`, async () => {
+    const poolContract = new ethers.Contract(poolAddress, POOL_ABI, provider);
+    const overrides = { blockTag: blockNumber };
+
+    const [reserveETH, reserveToken, totalLiquidity] = await Promise.all([
+      poolContract.reserveETH(overrides),
+      poolContract.reserveToken(overrides),
+      poolContract.totalLiquidity(overrides)
+    ]);
+
+    return { reserveETH, reserveToken, totalLiquidity };
+  });
+
+/**
+ * The pool state at a block as JSON-ready strings (reserves, supply, spot price in tokens per ETH, TVL in ETH).
+ */
+const readPoolState = async (chainId, provider, poolAddress, blockNumber, tokenDecimals = 18) => {
+  const { reserveETH, reserveToken, totalLiquidity } = await readReserves(chainId, provider, poolAddress, blockNumber);
+
+  return {
+    blockNumber,
+    reserveETH: reserveETH.toString(),
+    reserveToken: reserveToken.toString(),
+    totalLiquidity: totalLiquidity.toString(),
+    price: formatPrice(scaledPrice(reserveETH, reserveToken, tokenDecimals ?? 18)),
+    tvl: ethers.formatEther(reserveETH * 2n)
+  };
+};
+
+const cacheStats = () => ({ metadata: metadataCache.stats, reserves: reservesCache.stats });
+
+/**
+ * Track every pool created by a Factory.
+ * Enumerates getAllPools() on start, then follows PoolCreated logs.
+ * onPoolAdded(pool, fromBlock) fires once per pool so the indexer can pick it up.
+ */
+function createPoolRegistry({ chainId, provider, factoryAddress, startBlock = 0, onPoolAdded }) {
+  const pools = new Map();
+  let lastBlock = null;
+  let timer = null;
+  let running = false;
+
+  const addPool = async (poolAddress, poolIndex, createdBlock) => {
+    const key = poolAddress.toLowerCase();
+    if (pools.has(key)) return;
+
+    const pool = { ...(await resolvePool(chainId, provider, poolAddress)), poolIndex, createdBlock };
+    pools.set(key, pool);
+    onPoolAdded?.(pool, createdBlock ?? startBlock);
+  };
+
+  const load = async () => {
+    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+    const blockNumber = await provider.getBlockNumber();
+    const addresses = await factory.getAllPools({ blockTag: blockNumber });
+    for (const [index, address] of addresses.entries()) {
+      await addPool(address, index, null);
+    }
+    lastBlock = blockNumber;
+  };
+
+  const follow = async () => {
+    const latest = await provider.getBlockNumber();
+
+    // In BLOCK_RANGE chunks, so catching up after an outage stays within RPC limits and
+    // progress is kept when a later chunk fails
+    while (lastBlock < latest) {
+      const fromBlock = lastBlock + 1;
+      const toBlock = Math.min(fromBlock + BLOCK_RANGE - 1, latest);
+
+      const logs = await provider.getLogs({
+        address: factoryAddress,
+        fromBlock,
+        toBlock,
+        topics: [POOL_CREATED_TOPIC]
+      });
+
+      for (const log of logs) {
+        const { args } = factoryInterface.parseLog(log);
+        await addPool(args.pool, Number(args.poolIndex), log.blockNumber);
+      }
+      lastBlock = toBlock;
+    }
+  };
+
+  const tick = async () => {
+    try {
+      if (lastBlock === null) {
+        await load();
+      } else {
+        await follow();
+      }
+    } catch (err) {
+      console.error(`Pool registry ${chainId} error:`, err.message);
+    } finally {
+      if (running) timer = setTimeout(tick, POLL_INTERVAL);
+    }
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    tick();
+  };
+
+  const stop = () => {
+    running = false;
+    clearTimeout(timer);
+  };
+
+  const list = () => [...pools.values()].sort((a, b) => a.poolIndex - b.poolIndex);
+
+  const get = (poolAddress) => pools.get(poolAddress.toLowerCase()) || null;
+
+  return { start, stop, list, get, factoryAddress };
+}
+
+module.exports = { createPoolRegistry, resolvePool, readReserves, readPoolState, cacheStats, nonStandard };
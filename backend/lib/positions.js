@@ -0,0 +1,165 @@
+const { ethers } = require('ethers');
+const { POOL_ABI } = require('./abis');
+const { readReserves } = require('./pools');
+
+// Locked to address(0) on the first deposit, see LiquidityPool.MINIMUM_LIQUIDITY
+const MINIMUM_LIQUIDITY = 1000n;
+const SCALE = 10n ** 18n;
+
+// Events a position is replayed from
+const POSITION_TYPES = ['Sync', 'LiquidityAdded', 'LiquidityRemoved'];
+
+const sqrt = (value) => {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (value / x + x) / 2n;
+  }
+  return x;
+};
+
+/**
+ * sqrt(k) per LP unit, scaled by 1e18. Deposits and withdrawals keep it constant;
+ * only swap fees make it grow, so its growth since entry is the fee yield of a position.
+ */
+const liquidityGrowth = (reserveETH, reserveToken, totalLiquidity) =>
+  totalLiquidity === 0n ? 0n : (sqrt(reserveETH * reserveToken) * SCALE) / totalLiquidity;
+
+/**
+ * Replay a pool's Sync/LiquidityAdded/LiquidityRemoved events (chain order) for one provider.
+ * Cost basis uses the average-cost method: a withdrawal removes cost pro rata to LP burned.
+ */
+function replayPosition(events, provider) {
+  const user = provider.toLowerCase();
+  let reserveETH = 0n;
+  let reserveToken = 0n;
+  let totalLiquidity = 0n;
+
+  const position = {
+    liquidity: 0n,
+    costETH: 0n,
+    costToken: 0n,
+    depositedETH: 0n,
+    depositedToken: 0n,
+    withdrawnETH: 0n,
+    withdrawnToken: 0n,
+    entryGrowth: 0n,
+    firstBlock: null
+  };
+
+  for (const event of events) {
+    const { args } = event;
+
+    if (event.type === 'Sync') {
+      reserveETH = BigInt(args.reserveETH);
+      reserveToken = BigInt(args.reserveToken);
+    } else if (event.type === 'LiquidityAdded') {
+      const minted = BigInt(args.liquidityMinted);
+      if (totalLiquidity === 0n) totalLiquidity = MINIMUM_LIQUIDITY;
+      totalLiquidity += minted;
+      if (event.user !== user) continue;
+
+      // Sync is emitted just before LiquidityAdded, so reserves are already post-deposit
+      const growth = liquidityGrowth(reserveETH, reserveToken, totalLiquidity);
+      position.entryGrowth = (position.entryGrowth * position.liquidity + growth * minted) / (position.liquidity + minted);
+      position.liquidity += minted;
+      position.costETH += BigInt(args.ethAmount);
+      position.costToken += BigInt(args.tokenAmount);
+      position.depositedETH += BigInt(args.ethAmount);
+      position.depositedToken += BigInt(args.tokenAmount);
+      position.firstBlock ??= event.blockNumber;
+    } else if (event.type === 'LiquidityRemoved') {
+      const burned = BigInt(args.liquidityBurned);
+      totalLiquidity -= burned;
+      if (event.user !== user || position.liquidity === 0n) continue;
+
+      position.costETH -= (position.costETH * burned) / position.liquidity;
+      position.costToken -= (position.costToken * burned) / position.liquidity;
+      position.liquidity -= burned;
+      position.withdrawnETH += BigInt(args.ethAmount);
+      position.withdrawnToken += BigInt(args.tokenAmount);
+    }
+  }
+
+  return position;
+}
+
+const formatPercent = (numerator, denominator) =>
+  denominator === 0n ? '0.00' : (Number((numerator * 10000n) / denominator) / 100).toFixed(2);
+
+/**
+ * Value a replayed position against the pool's current state.
+ * All ETH-denominated values use the current pool price. Impermanent loss is measured
+ * on the position value excluding fees, versus holding the cost basis (HODL).
+ */
+function valuePosition(position, { balance, reserveETH, reserveToken, totalLiquidity }) {
+  const currentETH = totalLiquidity > 0n ? (balance * reserveETH) / totalLiquidity : 0n;
+  const currentToken = totalLiquidity > 0n ? (balance * reserveToken) / totalLiquidity : 0n;
+  const toETH = (tokenAmount) => (reserveToken > 0n ? (tokenAmount * reserveETH) / reserveToken : 0n);
+
+  const positionValueETH = currentETH + toETH(currentToken);
+  const hodlValueETH = position.costETH + toETH(position.costToken);
+
+  const growthNow = liquidityGrowth(reserveETH, reserveToken, totalLiquidity);
+  const feeShare = position.entryGrowth > 0n && growthNow > position.entryGrowth
+    ? SCALE - (position.entryGrowth * SCALE) / growthNow
+    : 0n;
+
+  const feesValueETH = (positionValueETH * feeShare) / SCALE;
+  const valueExFeesETH = positionValueETH - feesValueETH;
+  const impermanentLossETH = valueExFeesETH - hodlValueETH;
+
+  return {
+    liquidity: balance.toString(),
+    indexedLiquidity: position.liquidity.toString(),
+    shareOfPool: formatPercent(balance, totalLiquidity),
+    costBasis: {
+      eth: position.costETH.toString(),
+      token: position.costToken.toString()
+    },
+    deposited: {
+      eth: position.depositedETH.toString(),
+      token: position.depositedToken.toString()
+    },
+    withdrawn: {
+      eth: position.withdrawnETH.toString(),
+      token: position.withdrawnToken.toString()
+    },
+    redeemable: {
+      eth: currentETH.toString(),
+      token: currentToken.toString()
+    },
+    fees: {
+      eth: ((currentETH * feeShare) / SCALE).toString(),
+      token: ((currentToken * feeShare) / SCALE).toString(),
+      valueETH: feesValueETH.toString()
+    },
+    positionValueETH: positionValueETH.toString(),
+    hodlValueETH: hodlValueETH.toString(),
+    impermanentLossETH: impermanentLossETH.toString(),
+    impermanentLossPercent: formatPercent(impermanentLossETH, hodlValueETH),
+    pnlVsHodlETH: (positionValueETH - hodlValueETH).toString(),
+    firstBlock: position.firstBlock
+  };
+}
+
+/**
+ * A wallet's position in one pool at blockNumber: indexed history valued against the on-chain
+ * LP balance and reserves. Null when the wallet never provided liquidity and holds no LP tokens.
+ */
+async function readPosition({ chainId, provider, events, poolAddress, user, blockNumber }) {
+  const position = replayPosition(events, user);
+
+  const poolContract = new ethers.Contract(poolAddress, POOL_ABI, provider);
+  const [balance, reserves] = await Promise.all([
+    poolContract.liquidityBalance(user, { blockTag: blockNumber }),
+    readReserves(chainId, provider, poolAddress, blockNumber)
+  ]);
+
+  if (balance === 0n && position.depositedETH === 0n) return null;
+  return valuePosition(position, { balance, ...reserves });
+}
+
+module.exports = { replayPosition, valuePosition, readPosition, liquidityGrowth, POSITION_TYPES };
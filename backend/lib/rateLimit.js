@@ -0,0 +1,97 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const WINDOW_MS = 60000;
+// Buckets untouched for this long are full again and can be dropped
+const IDLE_MS = 10 * 60000;
+
+/**
+ * Parse API_KEYS ("key1,key2:600") into a map of key -> requests per minute.
+ * Keys without an explicit limit get defaultLimit. Throws on a limit that isn't a positive
+ * integer, which would otherwise compare as NaN and never limit the key.
+ */
+const parseApiKeys = (value = '', defaultLimit) => {
+  const keys = new Map();
+  for (const entry of value.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [key, limit] = entry.split(':');
+    const perMinute = limit === undefined ? defaultLimit : Number.parseInt(limit, 10);
+    if (!Number.isInteger(perMinute) || perMinute <= 0 || (limit !== undefined && String(perMinute) !== limit.trim())) {
+      throw new Error(`API_KEYS: limit for key "${key}" must be a positive integer, got "${limit ?? defaultLimit}"`);
+    }
+    keys.set(key, perMinute);
+  }
+  return keys;
+};
+
+/**
+ * In-process token-bucket limiter. Clients are keyed by their x-api-key header when they
+ * send one (an unknown key is rejected), otherwise by IP. Each bucket holds `limit` requests
+ * and refills continuously over a minute. Limits are per process, not shared between replicas.
+ * Returns the Express middleware; middleware.consume(apiKey, ip) charges one request from
+ * elsewhere (WebSocket connections and operations) and throws the same ApiErrors.
+ */
+function createRateLimiter({ perMinute, apiKeys = new Map() }) {
+  const buckets = new Map();
+
+  const take = (id, limit) => {
+    const now = Date.now();
+    let bucket = buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: limit, updatedAt: now };
+      buckets.set(id, bucket);
+    }
+
+    bucket.tokens = Math.min(limit, bucket.tokens + ((now - bucket.updatedAt) * limit) / WINDOW_MS);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil(((1 - bucket.tokens) * WINDOW_MS) / limit / 1000) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens) };
+  };
+
+  const cleanup = setInterval(() => {
+    const cutoff = Date.now() - IDLE_MS;
+    for (const [id, bucket] of buckets) {
+      if (bucket.updatedAt < cutoff) buckets.delete(id);
+    }
+  }, IDLE_MS);
+  cleanup.unref();
+
+  const check = (apiKey, ip) => {
+    if (apiKey !== undefined && !apiKeys.has(apiKey)) {
+      throw new ApiError(401, ERROR_CODES.INVALID_API_KEY, 'Unknown API key');
+    }
+    const limit = apiKey !== undefined ? apiKeys.get(apiKey) : perMinute;
+    return { limit, ...take(apiKey !== undefined ? `key:${apiKey}` : `ip:${ip}`, limit) };
+  };
+
+  const rateLimited = (limit) => new ApiError(429, ERROR_CODES.RATE_LIMITED, `Rate limit of ${limit} requests per minute exceeded`);
+
+  const middleware = (req, res, next) => {
+    let result;
+    try {
+      result = check(req.get('x-api-key'), req.ip);
+    } catch (err) {
+      return next(err);
+    }
+
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return next(rateLimited(result.limit));
+    }
+    next();
+  };
+
+  middleware.consume = (apiKey, ip) => {
+    const result = check(apiKey, ip);
+    if (!result.allowed) throw rateLimited(result.limit);
+  };
+
+  return middleware;
+}
+
+module.exports = { createRateLimiter, parseApiKeys };
@@ -0,0 +1,80 @@
+const { ethers } = require('ethers');
+const { FACTORY_ABI } = require('./abis');
+const { buildQuote, priceImpactBps, formatBps, formatPrice } = require('./amm');
+const { readReserves } = require('./pools');
+
+/**
+ * Combine the legs of a token -> ETH -> token route into one quote.
+ * Each leg pays the 0.3% fee and its own price impact; the totals compound.
+ * Pass exactly one of amountIn / amountOut. Throws (code INSUFFICIENT_LIQUIDITY) when either leg can't fill.
+ */
+function buildRoute({ amountIn, amountOut, poolIn, poolOut, slippageBps = 50n }) {
+  const exactIn = amountIn !== undefined;
+  let sellLeg;
+  let buyLeg;
+
+  if (exactIn) {
+    sellLeg = buildQuote({ side: 'sell', amountIn, ...poolIn.reserves, slippageBps, tokenDecimals: poolIn.tokenDecimals });
+    buyLeg = buildQuote({ side: 'buy', amountIn: BigInt(sellLeg.amountOut), ...poolOut.reserves, slippageBps, tokenDecimals: poolOut.tokenDecimals });
+  } else {
+    buyLeg = buildQuote({ side: 'buy', amountOut, ...poolOut.reserves, slippageBps, tokenDecimals: poolOut.tokenDecimals });
+    sellLeg = buildQuote({ side: 'sell', amountOut: BigInt(buyLeg.amountIn), ...poolIn.reserves, slippageBps, tokenDecimals: poolIn.tokenDecimals });
+  }
+
+  const totalIn = BigInt(sellLeg.amountIn);
+  const totalOut = BigInt(buyLeg.amountOut);
+
+  // 1 - (1 - a)(1 - b), in basis points
+  const sellImpact = priceImpactBps(totalIn, BigInt(sellLeg.amountOut), poolIn.reserves.reserveToken, poolIn.reserves.reserveETH);
+  const buyImpact = priceImpactBps(BigInt(buyLeg.amountIn), totalOut, poolOut.reserves.reserveETH, poolOut.reserves.reserveToken);
+  const combinedImpact = 10000n - ((10000n - sellImpact) * (10000n - buyImpact)) / 10000n;
+
+  // tokenOut per tokenIn, normalised for decimals
+  const rate = (totalOut * 10n ** BigInt(poolIn.tokenDecimals) * 10n ** 18n) / (totalIn * 10n ** BigInt(poolOut.tokenDecimals));
+
+  const route = {
+    mode: exactIn ? 'exactIn' : 'exactOut',
+    path: [poolIn.tokenAddress, 'ETH', poolOut.tokenAddress],
+    pools: [poolIn.poolAddress, poolOut.poolAddress],
+    amountIn: totalIn.toString(),
+    amountOut: totalOut.toString(),
+    executionPrice: formatPrice(rate),
+    priceImpact: formatBps(combinedImpact),
+    // 1 - 0.997^2
+    fee: '0.5991%',
+    slippage: formatBps(slippageBps),
+    legs: [
+      { pool: poolIn.poolAddress, ...sellLeg },
+      { pool: poolOut.poolAddress, ...buyLeg }
+    ]
+  };
+
+  if (exactIn) {
+    route.minimumReceived = ((totalOut * (10000n - slippageBps)) / 10000n).toString();
+  } else {
+    route.maximumSent = ((totalIn * (10000n + slippageBps)) / 10000n).toString();
+  }
+
+  return route;
+}
+
+/**
+ * Look up a token's pool through Factory.getPool and read its reserves at blockTag.
+ * Throws (code POOL_NOT_FOUND) when the factory has no pool for the token.
+ */
+async function loadRoutePool(chainId, provider, factoryAddress, tokenAddress, blockTag, tokenDecimals = 18) {
+  const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+  const poolAddress = await factory.getPool(tokenAddress, { blockTag });
+
+  if (poolAddress === ethers.ZeroAddress) {
+    const err = new Error(`No pool for token ${tokenAddress}`);
+    err.code = 'POOL_NOT_FOUND';
+    throw err;
+  }
+
+  const { reserveETH, reserveToken } = await readReserves(chainId, provider, poolAddress, blockTag);
+
+  return { poolAddress, tokenAddress, tokenDecimals, reserves: { reserveETH, reserveToken } };
+}
+
+module.exports = { buildRoute, loadRoutePool };
@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+const { createCache } = require('./cache');
+const { counter, gauge } = require('./metrics');
+const { ApiError, ERROR_CODES } = require('./errors');
+const { FailoverProvider } = require('./failover');
+
+const splitUrls = (value) => value.split(',').map((url) => url.trim()).filter(Boolean);
+
+/**
+ * RPC endpoints per chain, in order of preference. LOCAL_RPC_URL and SEPOLIA_RPC_URL take a
+ * comma-separated list; RPC_URLS_<chainId> adds (or overrides) any chain.
+ */
+const loadRpcUrls = (env) => {
+  const urls = {
+    31337: splitUrls(env.LOCAL_RPC_URL || 'http://127.0.0.1:8545'),
+    11155111: splitUrls(env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/YOUR_KEY')
+  };
+  for (const [name, value] of Object.entries(env)) {
+    const match = /^RPC_URLS_(\d+)$/.exec(name);
+    if (match && splitUrls(value).length > 0) urls[match[1]] = splitUrls(value);
+  }
+  return urls;
+};
+
+const RPC_URLS = loadRpcUrls(process.env);
+
+// How long a head block number is reused before asking the node again (ms)
+const BLOCK_TTL = parseInt(process.env.RPC_BLOCK_TTL || '1000');
+// Endpoint health probe interval and per-request timeout (ms)
+const PROBE_INTERVAL = parseInt(process.env.RPC_PROBE_INTERVAL || '15000');
+const REQUEST_TIMEOUT = parseInt(process.env.RPC_TIMEOUT || '5000');
+// Blocks an endpoint may trail the head before it is taken out of rotation
+const MAX_LAG = parseInt(process.env.RPC_MAX_LAG || '5');
+// Endpoints that must agree on the head block (default: half of them, rounded up)
+const QUORUM = process.env.RPC_QUORUM ? parseInt(process.env.RPC_QUORUM) : undefined;
+
+const providers = {};
+const blockNumbers = createCache({ ttl: BLOCK_TTL });
+
+const rpcCalls = counter('rpc_calls_total', 'JSON-RPC calls sent to the node, by chain, endpoint and method');
+const rpcRequests = counter('rpc_http_requests_total', 'HTTP requests sent to the node (one per JSON-RPC batch), by chain and endpoint');
+const rpcErrors = counter('rpc_errors_total', 'Failed RPC requests by chain and endpoint; transport failures fail a whole batch, response errors one call');
+
+// Count traffic through the debug events FailoverProvider.post emits once per HTTP request to an
+// endpoint, so failover retries, probes and quorum reads are included. ethers emits the same
+// actions once per batch without an endpoint; those are skipped to avoid counting twice.
+const instrument = (chainId, provider) => {
+  const chain = String(chainId);
+  provider.on('debug', (event) => {
+    if (!event.endpoint) return;
+    const labels = { chain, endpoint: event.endpoint };
+    if (event.action === 'sendRpcPayload') {
+      const payloads = Array.isArray(event.payload) ? event.payload : [event.payload];
+      rpcRequests.inc(labels);
+      for (const { method } of payloads) rpcCalls.inc({ ...labels, method });
+    } else if (event.action === 'receiveRpcResult') {
+      const results = Array.isArray(event.result) ? event.result : [event.result];
+      const failed = results.filter((result) => result && 'error' in result).length;
+      if (failed > 0) rpcErrors.inc({ ...labels, kind: 'response' }, failed);
+    } else if (event.action === 'receiveRpcError') {
+      rpcErrors.inc({ ...labels, kind: 'transport' });
+    }
+  });
+};
+
+const endpointSamples = (value) => () => Object.entries(providers).flatMap(([chain, provider]) =>
+  provider.status().endpoints.map((endpoint) => ({ labels: { chain, endpoint: endpoint.endpoint }, value: value(endpoint) }))
+);
+
+gauge('rpc_endpoint_up', 'Whether an RPC endpoint is in rotation (1) or skipped after failing (0)',
+  endpointSamples((endpoint) => (endpoint.healthy ? 1 : 0)));
+gauge('rpc_endpoint_latency_ms', 'Moving average of RPC endpoint response time',
+  endpointSamples((endpoint) => endpoint.latencyMs ?? 0));
+counter('rpc_failovers_total', 'Requests retried on another endpoint after one failed, by chain', () =>
+  Object.entries(providers).map(([chain, provider]) => ({ labels: { chain }, value: provider.failovers })));
+
+/**
+ * Shared provider per configured chain, failing over across its endpoints. Calls issued in the
+ * same tick are sent as one JSON-RPC batch, and the network is fixed so no eth_chainId round
+ * trip precedes each call. Unknown chains throw UNSUPPORTED_CHAIN rather than reaching another node.
+ */
+const getProvider = (chainId) => {
+  const id = Number(chainId);
+  if (!RPC_URLS[chainId]) {
+    throw new ApiError(400, ERROR_CODES.UNSUPPORTED_CHAIN, `Chain ${chainId} not supported`);
+  }
+  if (!providers[id]) {
+    const network = ethers.Network.from(id);
+    providers[id] = new FailoverProvider(RPC_URLS[id], network, {
+      staticNetwork: network,
+      batchMaxCount: parseInt(process.env.RPC_BATCH_MAX || '50'),
+      batchStallTime: 10,
+      timeout: REQUEST_TIMEOUT,
+      maxLag: MAX_LAG,
+      quorum: QUORUM
+    });
+    instrument(id, providers[id]);
+
+    const provider = providers[id];
+    provider.probe();
+    setInterval(() => provider.probe(), PROBE_INTERVAL).unref();
+  }
+  return providers[id];
+};
+
+/**
+ * Latest block number agreed by a quorum of endpoints, shared across requests for BLOCK_TTL
+ * so concurrent requests pin their reads to the same block.
+ */
+const getBlockNumber = (chainId) => blockNumbers.wrap(String(chainId), () => getProvider(chainId).getQuorumBlockNumber());
+
+const blockNumberCacheStats = () => blockNumbers.stats;
+
+// Endpoint health of every chain whose provider has been created
+const rpcStatus = () => Object.fromEntries(Object.entries(providers).map(([chain, provider]) => [chain, provider.status()]));
+
+module.exports = { getProvider, getBlockNumber, blockNumberCacheStats, rpcStatus, RPC_URLS };
@@ -0,0 +1,117 @@
+const { ethers } = require('ethers');
+const { POOL_WRITE_ABI } = require('./abis');
+const { ApiError, ERROR_CODES } = require('./errors');
+const { uint, amount } = require('./validate');
+
+const poolInterface = new ethers.Interface(POOL_WRITE_ABI);
+
+// Arguments per method, in call order. Minimum outputs default to 0 (no slippage check).
+// Payable methods take the ETH sent as `value`.
+const METHODS = {
+  swapETHForToken: { args: { minTokensOut: '0' }, payable: true },
+  swapTokenForETH: { args: { tokenIn: null, minETHOut: '0' } },
+  addLiquidity: { args: { tokenAmount: null }, payable: true },
+  removeLiquidity: { args: { liquidityAmount: null, minETH: '0', minTokens: '0' } }
+};
+
+const REVERT_MESSAGES = {
+  ReentrancyGuard: 'Reentrant call',
+  ZeroLiquidity: 'Deposit too small to mint any liquidity',
+  InsufficientLiquidity: 'Not enough liquidity in the pool (or LP balance) for this amount',
+  InsufficientOutputAmount: 'Trade would return nothing',
+  InsufficientInputAmount: 'Input amount must be greater than zero',
+  SlippageExceeded: 'Output is below the requested minimum',
+  InvalidRecipient: 'Invalid recipient',
+  TransferFailed: 'Token or ETH transfer failed (check balance and allowance)',
+  ZeroAddress: 'Zero address'
+};
+
+/**
+ * Check a method's named arguments and return them in call order, plus the ETH value.
+ * Required arguments (null default) must be positive; minimums may be 0.
+ */
+function encodeCall(method, args = {}, value) {
+  const spec = METHODS[method];
+  if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+    throw new ApiError(400, ERROR_CODES.INVALID_PARAMETER, 'args must be an object of named arguments');
+  }
+
+  const values = Object.entries(spec.args).map(([name, fallback]) => {
+    const raw = args[name] ?? fallback;
+    if (raw === null) throw new ApiError(400, ERROR_CODES.INVALID_AMOUNT, `args.${name} is required`);
+    const rule = fallback === null ? amount() : uint();
+    return rule(String(raw), `args.${name}`);
+  });
+
+  if (spec.payable && value === undefined) {
+    throw new ApiError(400, ERROR_CODES.INVALID_AMOUNT, `value (ETH sent, wei) is required for ${method}`);
+  }
+  if (!spec.payable && value !== undefined && value !== 0n) {
+    throw new ApiError(400, ERROR_CODES.INVALID_PARAMETER, `${method} is not payable`);
+  }
+
+  return { data: poolInterface.encodeFunctionData(method, values), value: spec.payable ? value : 0n };
+}
+
+const stringify = (result) =>
+  Object.fromEntries(Object.entries(result.toObject()).map(([key, value]) => [key, value.toString()]));
+
+/**
+ * Describe why a call reverted: a LiquidityPool custom error, a require() string or panic
+ * (decoded by ethers), or raw data when nothing matches. Returns null for non-revert failures.
+ */
+function decodeRevert(err) {
+  if (err.code === 'INSUFFICIENT_FUNDS') {
+    return { name: 'InsufficientFunds', args: [], message: 'Sender cannot cover value plus gas', data: null };
+  }
+  if (err.code !== 'CALL_EXCEPTION') return null;
+
+  const data = err.data ?? null;
+  if (data && data !== '0x') {
+    // parseError also matches the built-in Error(string)/Panic(uint256), handled below
+    const parsed = poolInterface.parseError(data);
+    if (parsed && REVERT_MESSAGES[parsed.name]) {
+      return { name: parsed.name, args: parsed.args.map(String), message: REVERT_MESSAGES[parsed.name], data };
+    }
+  }
+  if (err.revert) {
+    return { name: err.revert.name, args: err.revert.args.map(String), message: err.reason ?? err.shortMessage, data };
+  }
+  return { name: null, args: [], message: err.shortMessage ?? 'execution reverted', data };
+}
+
+/**
+ * Run a pool write through eth_call and eth_estimateGas as `from`, pinned to blockNumber.
+ * A revert is a normal result ({ success: false, revert }); RPC failures are thrown.
+ */
+async function simulate(provider, { from, pool, method, args, value, blockNumber }) {
+  const call = encodeCall(method, args, value);
+  const tx = { from, to: pool, data: call.data, value: call.value, blockTag: blockNumber };
+
+  let outputs;
+  let gasEstimate;
+  try {
+    const result = await provider.call(tx);
+    outputs = stringify(poolInterface.decodeFunctionResult(method, result));
+    gasEstimate = await provider.estimateGas(tx);
+  } catch (err) {
+    const revert = decodeRevert(err);
+    if (!revert) throw err;
+    return { success: false, revert };
+  }
+
+  const { gasPrice, maxFeePerGas } = await provider.getFeeData();
+  const feePerGas = maxFeePerGas ?? gasPrice ?? 0n;
+
+  return {
+    success: true,
+    outputs,
+    value: call.value.toString(),
+    gasEstimate: gasEstimate.toString(),
+    maxFeePerGas: feePerGas.toString(),
+    // Upper bound: the actual fee is gasUsed * effective gas price
+    maxGasCost: (gasEstimate * feePerGas).toString()
+  };
+}
+
+module.exports = { simulate, decodeRevert, SIMULATE_METHODS: Object.keys(METHODS) };
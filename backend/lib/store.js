@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Open a JSON document store backed by a single file in DATA_DIR.
+ * The whole document lives in memory; save() writes it atomically (tmp file + rename).
+ */
+function createStore(name, defaults = {}) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let data = { ...defaults };
+
+  if (fs.existsSync(file)) {
+    try {
+      data = { ...defaults, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (err) {
+      console.error(`Store ${name} is unreadable, starting empty:`, err.message);
+    }
+  }
+
+  const save = () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  };
+
+  return { data, save };
+}
+
+/**
+ * Open an append-only log of JSON records, one per line, in DATA_DIR/<name>.ndjson.
+ * append() writes only the new records; rewrite() replaces the file atomically (tmp file + rename).
+ */
+function createLog(name) {
+  const file = path.join(DATA_DIR, `${name}.ndjson`);
+  const serialize = (records) => records.map((record) => `${JSON.stringify(record)}\n`).join('');
+
+  const rewrite = (records) => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, serialize(records));
+    fs.renameSync(tmp, file);
+  };
+
+  const append = (records) => {
+    if (records.length === 0) return;
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(file, serialize(records));
+  };
+
+  const load = () => {
+    if (!fs.existsSync(file)) return [];
+    const text = fs.readFileSync(file, 'utf8');
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A line torn by a crash mid-append
+      }
+    }
+    // Drop a torn last line so the next append starts on a line of its own
+    if (text.length > 0 && !text.endsWith('\n')) rewrite(records);
+    return records;
+  };
+
+  return { load, append, rewrite };
+}
+
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+};
+
+// Lock files held by this process, removed on exit and on SIGINT/SIGTERM
+const heldLocks = new Set();
+
+const releaseLocks = () => {
+  for (const file of heldLocks) fs.rmSync(file, { force: true });
+  heldLocks.clear();
+};
+
+const releaseOnExit = () => {
+  process.on('exit', releaseLocks);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    // Re-raised once released, so the process still ends the way the signal would end it
+    process.once(signal, () => {
+      releaseLocks();
+      process.kill(process.pid, signal);
+    });
+  }
+};
+
+/**
+ * Hold DATA_DIR/<name>.lock for this process until it exits or is stopped, so two processes never
+ * write the same files. Throws when a live process holds it; a lock whose process is gone is stale
+ * and taken over.
+ */
+function lockStore(name) {
+  const file = path.join(DATA_DIR, `${name}.lock`);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  for (;;) {
+    try {
+      fs.writeFileSync(file, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const pid = Number.parseInt(fs.readFileSync(file, 'utf8'), 10);
+    if (pid === process.pid) return;
+    if (pid && isAlive(pid)) throw new Error(`Store ${name} is in use by process ${pid}; stop it first`);
+    fs.rmSync(file, { force: true });
+  }
+
+  if (heldLocks.size === 0) releaseOnExit();
+  heldLocks.add(file);
+}
+
+module.exports = { createStore, createLog, lockStore, DATA_DIR };
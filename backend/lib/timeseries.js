@@ -0,0 +1,152 @@
+const { scaledPrice, formatPrice } = require('./amm');
+
+// Bucket sizes in seconds
+const INTERVALS = {
+  '1m': 60,
+  '5m': 300,
+  '1h': 3600,
+  '1d': 86400
+};
+
+const bucketStart = (timestamp, seconds) => timestamp - (timestamp % seconds);
+
+/**
+ * Build OHLCV candles from a pool's indexed events (chain order).
+ * Prices come from Sync reserves, volume from Swap amounts. Buckets are keyed by block time
+ * and only emitted when something happened in them. Each candle opens at the previous one's
+ * close, so consecutive candles join up.
+ */
+function buildCandles(events, seconds, tokenDecimals = 18) {
+  const candles = new Map();
+  let lastPrice = null;
+
+  const getCandle = (time) => {
+    if (!candles.has(time)) {
+      candles.set(time, { time, open: null, high: null, low: null, close: null, volumeETH: 0n, volumeToken: 0n, swaps: 0 });
+    }
+    return candles.get(time);
+  };
+
+  for (const event of events) {
+    const candle = getCandle(bucketStart(event.timestamp, seconds));
+
+    if (event.type === 'Sync') {
+      const price = scaledPrice(event.args.reserveETH, event.args.reserveToken, tokenDecimals);
+      if (candle.open === null) {
+        candle.open = lastPrice ?? price;
+        candle.high = candle.open;
+        candle.low = candle.open;
+      }
+      if (price > candle.high) candle.high = price;
+      if (price < candle.low) candle.low = price;
+      candle.close = price;
+      lastPrice = price;
+    } else if (event.type === 'Swap') {
+      const { ethIn, ethOut, tokenIn, tokenOut } = event.args;
+      candle.volumeETH += BigInt(ethIn) + BigInt(ethOut);
+      candle.volumeToken += BigInt(tokenIn) + BigInt(tokenOut);
+      candle.swaps += 1;
+    }
+  }
+
+  return [...candles.values()]
+    .filter((candle) => candle.close !== null)
+    .sort((a, b) => a.time - b.time)
+    .map((candle) => ({
+      time: candle.time,
+      open: formatPrice(candle.open),
+      high: formatPrice(candle.high),
+      low: formatPrice(candle.low),
+      close: formatPrice(candle.close),
+      volumeETH: candle.volumeETH.toString(),
+      volumeToken: candle.volumeToken.toString(),
+      swaps: candle.swaps
+    }));
+}
+
+// Swap fee taken from the input amount (1000 - FEE_NUMERATOR) / FEE_DENOMINATOR, see LiquidityPool.sol
+const FEE_NUMERATOR = 3n;
+const FEE_DENOMINATOR = 1000n;
+
+const swapFees = ({ ethIn, tokenIn }) => ({
+  feeETH: (BigInt(ethIn) * FEE_NUMERATOR) / FEE_DENOMINATOR,
+  feeToken: (BigInt(tokenIn) * FEE_NUMERATOR) / FEE_DENOMINATOR
+});
+
+/**
+ * Build a gap-free TVL/volume/fee series for a pool from its full event history (chain order).
+ * TVL is 2 * reserveETH at the end of each bucket; it carries forward through quiet buckets.
+ * Fees are the 0.3% taken from each swap's input asset. The series ends at `to`, never later
+ * than now, and holds at most the last `maxBuckets` buckets.
+ */
+function buildPoolHistory(events, seconds, { from, to, maxBuckets = Infinity } = {}) {
+  if (events.length === 0) return [];
+
+  const buckets = new Map();
+  for (const event of events) {
+    const time = bucketStart(event.timestamp, seconds);
+    if (!buckets.has(time)) {
+      buckets.set(time, { reserveETH: null, reserveToken: null, swaps: 0, volumeETH: 0n, volumeToken: 0n, feesETH: 0n, feesToken: 0n });
+    }
+    const bucket = buckets.get(time);
+
+    if (event.type === 'Sync') {
+      bucket.reserveETH = BigInt(event.args.reserveETH);
+      bucket.reserveToken = BigInt(event.args.reserveToken);
+    } else if (event.type === 'Swap') {
+      const { ethIn, ethOut, tokenIn, tokenOut } = event.args;
+      const { feeETH, feeToken } = swapFees(event.args);
+      bucket.swaps += 1;
+      bucket.volumeETH += BigInt(ethIn) + BigInt(ethOut);
+      bucket.volumeToken += BigInt(tokenIn) + BigInt(tokenOut);
+      bucket.feesETH += feeETH;
+      bucket.feesToken += feeToken;
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const first = bucketStart(events[0].timestamp, seconds);
+  const end = bucketStart(to !== undefined ? Math.min(to, now) : now, seconds);
+  const start = Math.max(
+    from !== undefined ? bucketStart(from, seconds) : first,
+    first,
+    end - (maxBuckets - 1) * seconds
+  );
+
+  const series = [];
+  let reserveETH = 0n;
+  let reserveToken = 0n;
+
+  // Reserves carried into the window (buckets are in chain order)
+  for (const [time, bucket] of buckets) {
+    if (time >= start) break;
+    if (bucket.reserveETH !== null) {
+      reserveETH = bucket.reserveETH;
+      reserveToken = bucket.reserveToken;
+    }
+  }
+
+  for (let time = start; time <= end; time += seconds) {
+    const bucket = buckets.get(time);
+    if (bucket && bucket.reserveETH !== null) {
+      reserveETH = bucket.reserveETH;
+      reserveToken = bucket.reserveToken;
+    }
+
+    series.push({
+      time,
+      reserveETH: reserveETH.toString(),
+      reserveToken: reserveToken.toString(),
+      tvlETH: (reserveETH * 2n).toString(),
+      swaps: bucket?.swaps ?? 0,
+      volumeETH: (bucket?.volumeETH ?? 0n).toString(),
+      volumeToken: (bucket?.volumeToken ?? 0n).toString(),
+      feesETH: (bucket?.feesETH ?? 0n).toString(),
+      feesToken: (bucket?.feesToken ?? 0n).toString()
+    });
+  }
+
+  return series;
+}
+
+module.exports = { INTERVALS, bucketStart, swapFees, buildCandles, buildPoolHistory };
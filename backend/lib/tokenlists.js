@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { TOKEN_ABI } = require('./abis');
+const { createCache } = require('./cache');
+const { nonStandard } = require('./pools');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+// One list per chain, named <chainId>.json, in the token-list schema (https://tokenlists.org)
+const TOKEN_LISTS_DIR = process.env.TOKEN_LISTS_DIR || path.join(__dirname, '..', 'tokenlists');
+// Local additions and corrections for any chain, same schema; entries replace list entries by address
+const TOKEN_LIST_FILE = process.env.TOKEN_LIST_FILE || path.join(ROOT_DIR, 'tokenlist.json');
+// How long a built list is served before the files are re-read (ms)
+const TOKEN_LIST_TTL = parseInt(process.env.TOKEN_LIST_TTL || '60000');
+
+// Limits from the token-list JSON schema
+const MAX_NAME = 60;
+const MAX_SYMBOL = 20;
+const MAX_DECIMALS = 255;
+
+// A token's name/symbol/decimals never change, so they're cached for good. Addresses without
+// code aren't cached: the token may be deployed later (e.g. a fresh Anvil).
+const onchainCache = createCache({ maxEntries: 10000 });
+const listCache = createCache({ maxEntries: 100, ttl: TOKEN_LIST_TTL });
+
+// Rejections already logged per chain, so a rebuild only logs what changed
+const logged = {};
+
+const readList = (file) => {
+  if (!fs.existsSync(file)) return { list: null };
+  try {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(list.tokens)) return { list: null, problem: `${file}: "tokens" must be an array` };
+    return { list, mtime: fs.statSync(file).mtime };
+  } catch (err) {
+    return { list: null, problem: `${file}: ${err.message}` };
+  }
+};
+
+/**
+ * Check one entry against the token-list schema. Returns the problems found (empty when valid).
+ */
+const checkEntry = (token, chainId) => {
+  const problems = [];
+  if (token.chainId !== chainId) problems.push(`chainId ${token.chainId} in the list for chain ${chainId}`);
+  if (typeof token.address !== 'string' || !ethers.isAddress(token.address)) problems.push('address is not a valid address');
+  if (typeof token.name !== 'string' || token.name.length === 0 || token.name.length > MAX_NAME) {
+    problems.push(`name must be 1-${MAX_NAME} characters`);
+  }
+  if (typeof token.symbol !== 'string' || !/^\S+$/.test(token.symbol) || token.symbol.length > MAX_SYMBOL) {
+    problems.push(`symbol must be 1-${MAX_SYMBOL} characters without spaces`);
+  }
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > MAX_DECIMALS) {
+    problems.push(`decimals must be an integer from 0 to ${MAX_DECIMALS}`);
+  }
+  if (token.logoURI !== undefined && (typeof token.logoURI !== 'string' || !URL.canParse(token.logoURI))) {
+    problems.push('logoURI must be a URI');
+  }
+  if (token.tags !== undefined && (!Array.isArray(token.tags) || token.tags.some((tag) => typeof tag !== 'string'))) {
+    problems.push('tags must be an array of strings');
+  }
+  return problems;
+};
+
+/**
+ * Read name/symbol/decimals from the chain with ERC20 calls, or undefined when there is no contract.
+ * Methods the token doesn't implement come back as null.
+ */
+const readOnchain = (chainId, provider, address) => onchainCache.wrap(`${chainId}:${address.toLowerCase()}`, async () => {
+  if (await provider.getCode(address) === '0x') return undefined;
+
+  const token = new ethers.Contract(address, TOKEN_ABI, provider);
+  const [name, symbol, decimals] = await Promise.all([
+    token.name().catch(nonStandard),
+    token.symbol().catch(nonStandard),
+    token.decimals().then(Number).catch(nonStandard)
+  ]);
+  return { name, symbol, decimals };
+});
+
+const verifyEntry = async (chainId, provider, token) => {
+  const onchain = await readOnchain(chainId, provider, token.address);
+  if (!onchain) return ['no contract at this address'];
+
+  return ['name', 'symbol', 'decimals']
+    .filter((field) => onchain[field] !== token[field])
+    .map((field) => (onchain[field] === null
+      ? `token has no ${field}()`
+      : `${field} is ${JSON.stringify(onchain[field])} on-chain, list says ${JSON.stringify(token[field])}`));
+};
+
+const compareVersions = (a, b) => a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+
+const pickEntry = (token) => ({
+  chainId: token.chainId,
+  address: ethers.getAddress(token.address),
+  name: token.name,
+  symbol: token.symbol,
+  decimals: token.decimals,
+  ...(token.logoURI !== undefined && { logoURI: token.logoURI }),
+  ...(token.tags !== undefined && { tags: token.tags }),
+  ...(token.extensions !== undefined && { extensions: token.extensions })
+});
+
+const logRejections = (chainId, rejected, problems) => {
+  const lines = [
+    ...problems,
+    ...rejected.map((entry) => `${entry.symbol ?? '?'} ${entry.address ?? '?'} (${entry.source}): ${entry.reasons.join('; ')}`)
+  ];
+  const key = lines.join('\n');
+  if (key === logged[chainId]) return;
+  logged[chainId] = key;
+  for (const line of lines) console.warn(`Token list ${chainId}: rejected ${line}`);
+};
+
+/**
+ * Build a chain's token list: its <chainId>.json merged with the chain's entries from TOKEN_LIST_FILE,
+ * keeping only entries that match the schema and whose name, symbol and decimals match the chain.
+ * Returns { list, rejected, problems }: list is a valid token list; rejected holds every dropped
+ * entry with its reasons; problems lists files that could not be read.
+ */
+const buildTokenList = async (chainId, provider) => {
+  const base = readList(path.join(TOKEN_LISTS_DIR, `${chainId}.json`));
+  const local = readList(TOKEN_LIST_FILE);
+  const problems = [base.problem, local.problem].filter(Boolean);
+
+  // Entries by address, local ones replacing the chain list's
+  const entries = new Map();
+  const rejected = [];
+  const sources = [['default', base.list?.tokens ?? []], ['local', (local.list?.tokens ?? []).filter((token) => token.chainId === chainId)]];
+  for (const [source, tokens] of sources) {
+    for (const token of tokens) {
+      const reasons = checkEntry(token, chainId);
+      const key = reasons.length === 0 ? token.address.toLowerCase() : null;
+      if (key && source === 'default' && entries.has(key)) reasons.push('duplicate address');
+      if (reasons.length > 0) {
+        rejected.push({ address: token.address, symbol: token.symbol, source, reasons });
+        continue;
+      }
+      entries.set(key, { token, source });
+    }
+  }
+
+  const verified = await Promise.all([...entries.values()].map(async ({ token, source }) => {
+    const reasons = await verifyEntry(chainId, provider, token);
+    if (reasons.length > 0) rejected.push({ address: ethers.getAddress(token.address), symbol: token.symbol, source, reasons });
+    return reasons.length === 0 ? pickEntry(token) : null;
+  }));
+
+  // The served list carries the newer timestamp and higher version of the two files
+  const lists = [base, local].filter(({ list }) => list);
+  const timestamps = lists.map(({ list, mtime }) => new Date(list.timestamp ?? mtime)).filter((date) => !isNaN(date));
+  const versions = lists.map(({ list }) => list.version).filter((version) => Number.isInteger(version?.major));
+
+  const list = {
+    name: base.list?.name ?? `AMM DEX chain ${chainId}`,
+    timestamp: new Date(Math.max(0, ...timestamps)).toISOString(),
+    version: versions.sort(compareVersions).pop() ?? { major: 1, minor: 0, patch: 0 },
+    ...(base.list?.logoURI && { logoURI: base.list.logoURI }),
+    ...(base.list?.keywords && { keywords: base.list.keywords }),
+    ...(base.list?.tags && { tags: base.list.tags }),
+    tokens: verified.filter(Boolean)
+  };
+
+  logRejections(chainId, rejected, problems);
+  return { list, rejected, problems };
+};
+
+/**
+ * The chain's validated token list, rebuilt from the files at most every TOKEN_LIST_TTL ms,
+ * so edits to the list files go live without a restart.
+ */
+const loadTokenList = (chainId, provider) => listCache.wrap(String(chainId), () => buildTokenList(Number(chainId), provider));
+
+module.exports = { loadTokenList, TOKEN_LISTS_DIR, TOKEN_LIST_FILE };
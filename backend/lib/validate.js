@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+const { ApiError, ERROR_CODES } = require('./errors');
+
+const UINT = /^\d+$/;
+
+const invalid = (code, message) => new ApiError(400, code, message);
+
+// Each rule parses one raw string and returns the typed value, or throws an ApiError
+
+const chainId = () => (raw) => {
+  if (!UINT.test(raw)) throw invalid(ERROR_CODES.UNSUPPORTED_CHAIN, `Chain ${raw} not supported`);
+  return Number(raw);
+};
+
+const address = () => (raw, name) => {
+  if (!ethers.isAddress(raw)) throw invalid(ERROR_CODES.INVALID_ADDRESS, `${name} must be an address`);
+  return raw;
+};
+
+// A non-negative integer amount in wei (e.g. a minimum output, where 0 disables the check)
+const uint = () => (raw, name) => {
+  if (!UINT.test(raw)) throw invalid(ERROR_CODES.INVALID_AMOUNT, `${name} must be a non-negative integer in wei`);
+  return BigInt(raw);
+};
+
+// A positive integer amount in wei
+const amount = () => (raw, name) => {
+  if (!UINT.test(raw) || BigInt(raw) === 0n) {
+    throw invalid(ERROR_CODES.INVALID_AMOUNT, `${name} must be a positive integer in wei`);
+  }
+  return BigInt(raw);
+};
+
+const integer = ({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => (raw, name) => {
+  const value = Number(raw);
+  if (!/^-?\d+$/.test(raw) || value < min || value > max) {
+    throw invalid(ERROR_CODES.INVALID_PARAMETER, `${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+};
+
+// A decimal in [min, max)
+const number = ({ min, max }) => (raw, name) => {
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isFinite(value) || value < min || value >= max) {
+    throw invalid(ERROR_CODES.INVALID_PARAMETER, `${name} must be a number from ${min} up to ${max}`);
+  }
+  return value;
+};
+
+const oneOf = (values) => (raw, name) => {
+  if (!values.includes(raw)) {
+    throw invalid(ERROR_CODES.INVALID_PARAMETER, `${name} must be one of: ${values.join(', ')}`);
+  }
+  return raw;
+};
+
+// Comma-separated subset of values, or 'all'
+const listOf = (values) => (raw, name) => {
+  if (raw === 'all') return values;
+  const items = raw.split(',');
+  if (items.some((item) => !values.includes(item))) {
+    throw invalid(ERROR_CODES.INVALID_PARAMETER, `${name} must be one of: all, ${values.join(', ')}`);
+  }
+  return items;
+};
+
+const custom = (check, message) => (raw, name) => {
+  if (!check(raw)) throw invalid(ERROR_CODES.INVALID_PARAMETER, `${name} ${message}`);
+  return raw;
+};
+
+// Wrap a rule so a missing value is allowed (and replaced by fallback, parsed like any input)
+const optional = (rule, fallback) => {
+  const wrapped = (raw, name) => rule(raw, name);
+  wrapped.optional = true;
+  wrapped.fallback = fallback;
+  return wrapped;
+};
+
+const parseSection = (schema, input = {}, out, { allowNumbers = false } = {}) => {
+  for (const [name, rule] of Object.entries(schema)) {
+    let raw = input[name];
+    // JSON bodies may carry plain numbers; amounts beyond 2^53 must still be strings
+    if (allowNumbers && Number.isSafeInteger(raw)) raw = String(raw);
+    if (raw === undefined) {
+      if (!rule.optional) throw invalid(ERROR_CODES.INVALID_PARAMETER, `${name} is required`);
+      if (rule.fallback === undefined) continue;
+      raw = rule.fallback;
+    }
+    // ?a=1&a=2 and ?a[b]=1 parse to arrays/objects
+    if (typeof raw !== 'string') {
+      throw invalid(ERROR_CODES.INVALID_PARAMETER, `${name} must be ${allowNumbers ? 'a string or integer' : 'a single value'}`);
+    }
+    out[name] = rule(raw, name);
+  }
+};
+
+/**
+ * Route middleware: parse req.params, req.query and req.body against a schema of rules and put
+ * the typed values on req.valid. Unknown parameters are ignored.
+ *
+ *   validate({ params: { chainId: chainId() }, query: { limit: optional(integer({ min: 1 }), '50') } })
+ */
+const validate = ({ params = {}, query = {}, body = {} }) => (req, res, next) => {
+  try {
+    const valid = {};
+    parseSection(params, req.params, valid);
+    parseSection(query, req.query, valid);
+    parseSection(body, req.body, valid, { allowNumbers: true });
+    req.valid = valid;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { validate, optional, chainId, address, uint, amount, integer, number, oneOf, listOf, custom };
@@ -1,50 +1,139 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { ethers } = require('ethers');
+const { getProvider, getBlockNumber, blockNumberCacheStats, RPC_URLS } = require('./lib/rpc');
+const { loadDeployments, verifyDeployments } = require('./lib/deployments');
+const { createIndexer, decodeCursor, EVENT_TYPES } = require('./lib/indexer');
+const { createPoolRegistry, resolvePool, readReserves, readPoolState, cacheStats } = require('./lib/pools');
+const { INTERVALS, buildCandles, buildPoolHistory } = require('./lib/timeseries');
+const { readPosition, POSITION_TYPES } = require('./lib/positions');
+const { getAmountOut, priceImpactBps, formatBps, buildQuote } = require('./lib/amm');
+const { buildRoute, loadRoutePool } = require('./lib/router');
+const { ApiError, ERROR_CODES, asyncRoute, notFound, errorHandler } = require('./lib/errors');
+const { validate, optional, chainId, address, uint, amount, integer, number, oneOf, listOf, custom } = require('./lib/validate');
+const { createRateLimiter, parseApiKeys } = require('./lib/rateLimit');
+const { counter, gauge, render, requestMetrics, CONTENT_TYPE } = require('./lib/metrics');
+const { checkReadiness } = require('./lib/health');
+const { simulate, SIMULATE_METHODS } = require('./lib/simulate');
+const { createAlertEngine, ownerFor, RULE_TYPES } = require('./lib/alerts');
+const { fetchGasFees, buildHistory, toCSV, HISTORY_TYPES } = require('./lib/history');
+const { createGraphQL } = require('./lib/graphql');
+const { loadTokenList } = require('./lib/tokenlists');
+const OPENAPI = require('./openapi.json');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Hops of reverse proxies to trust for the client IP (rate limiting is keyed on it)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
+app.use(requestMetrics);
 app.use(cors());
 app.use(express.json());
 
-// Contract ABIs (simplified)
-const POOL_ABI = [
-  "function reserveETH() view returns (uint256)",
-  "function reserveToken() view returns (uint256)",
-  "function totalLiquidity() view returns (uint256)",
-  "function token() view returns (address)"
-];
-
-const TOKEN_ABI = [
-  "function name() view returns (string)",
-  "function symbol() view returns (string)",
-  "function decimals() view returns (uint8)"
-];
-
-// Provider setup
-const getProvider = (chainId) => {
-  const rpcUrls = {
-    31337: 'http://127.0.0.1:8545',
-    11155111: process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/YOUR_KEY'
-  };
-  return new ethers.JsonRpcProvider(rpcUrls[chainId] || rpcUrls[31337]);
+// Per-IP (or per x-api-key) request budget for everything under /api; /health is exempt
+const apiKeys = parseApiKeys(process.env.API_KEYS, parseInt(process.env.API_KEY_RATE_LIMIT || '600'));
+const rateLimiter = createRateLimiter({
+  perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '120'),
+  apiKeys
+});
+app.use('/api', rateLimiter);
+
+// Contract addresses per chain, loaded at startup from Foundry broadcast artifacts
+// (startBlock = deployment block, where the indexer backfills from)
+let CONTRACTS = {};
+
+// Upper bound on time buckets returned per series (most recent kept)
+const MAX_BUCKETS = 1000;
+
+// Upper bound on rows per /api/export response; longer histories are exported window by window
+const MAX_EXPORT_ROWS = 10000;
+
+// Keep-alive interval for /api/stream connections (ms)
+const STREAM_HEARTBEAT = 15000;
+
+// Event indexers and factory pool registries, one per configured chain
+const indexers = {};
+const registries = {};
+
+// Scrape-time metrics for state owned by the caches and indexers
+const allCacheStats = () => ({ ...cacheStats(), blockNumber: blockNumberCacheStats() });
+
+counter('cache_hits_total', 'Cache hits by cache', () =>
+  Object.entries(allCacheStats()).map(([cache, stats]) => ({ labels: { cache }, value: stats.hits })));
+counter('cache_misses_total', 'Cache misses by cache', () =>
+  Object.entries(allCacheStats()).map(([cache, stats]) => ({ labels: { cache }, value: stats.misses })));
+gauge('cache_hit_ratio', 'Share of cache lookups served from cache since startup', () =>
+  Object.entries(allCacheStats())
+    .filter(([, stats]) => stats.hits + stats.misses > 0)
+    .map(([cache, stats]) => ({ labels: { cache }, value: stats.hits / (stats.hits + stats.misses) })));
+gauge('indexer_head_block', 'Latest block seen by the indexer', () =>
+  Object.entries(indexers)
+    .map(([chain, indexer]) => ({ labels: { chain }, value: indexer.status().headBlock }))
+    .filter(({ value }) => value !== null && value !== undefined));
+gauge('indexer_lag_blocks', 'Blocks between the chain head and the last indexed block, per pool', () =>
+  Object.entries(indexers).flatMap(([chain, indexer]) => {
+    const { headBlock, pools } = indexer.status();
+    if (headBlock === null || headBlock === undefined) return [];
+    return pools.map(({ address, lastBlock }) => ({ labels: { chain, pool: address }, value: Math.max(0, headBlock - lastBlock) }));
+  }));
+
+// Webhook alert rules, evaluated against each chain's indexed events
+const alerts = createAlertEngine({
+  getTokenDecimals: (chainId, pool) => registries[chainId]?.get(pool)?.tokenDecimals ?? 18
+});
+
+// Pools tracked on a chain: every factory pool, or the single configured pool
+const chainPools = (chainId) => {
+  const registry = registries[chainId];
+  if (registry) return registry.list().map((pool) => pool.poolAddress);
+  return CONTRACTS[chainId]?.pool ? [CONTRACTS[chainId].pool] : [];
 };
 
-// Contract addresses
-const CONTRACTS = {
-  31337: {
-    pool: '0x61c36a8d610163660E21a8b7359e1Cac0C9133e1',
-    token: '0x0165878A594ca255338adfa4d48449f69242Eb8F'
-  },
-  11155111: {
-    pool: '', // Update after Sepolia deployment
-    token: ''
+const unsupportedChain = (chainId) => new ApiError(400, ERROR_CODES.UNSUPPORTED_CHAIN, `Chain ${chainId} not supported`);
+
+const requireContracts = (chainId, name) => {
+  const contracts = CONTRACTS[chainId];
+  if (!contracts || !contracts[name]) throw unsupportedChain(chainId);
+  return contracts;
+};
+
+const requireIndexer = (chainId) => {
+  if (!indexers[chainId]) throw unsupportedChain(chainId);
+  return indexers[chainId];
+};
+
+const requireRegistry = (chainId) => {
+  if (!registries[chainId]) throw unsupportedChain(chainId);
+  return registries[chainId];
+};
+
+// A pool tracked on the chain (factory pool or the configured one)
+const requirePool = (chainId, pool) => {
+  if (!CONTRACTS[chainId]) throw unsupportedChain(chainId);
+  if (!chainPools(chainId).some((p) => p.toLowerCase() === pool.toLowerCase())) {
+    throw new ApiError(404, ERROR_CODES.POOL_NOT_FOUND, 'Pool not found');
   }
 };
 
+// Pass exactly one of amountIn / amountOut
+const requireOneAmount = ({ amountIn, amountOut }) => {
+  if ((amountIn === undefined) === (amountOut === undefined)) {
+    throw new ApiError(400, ERROR_CODES.INVALID_AMOUNT, 'Pass exactly one of amountIn or amountOut');
+  }
+};
+
+// Shared query rules
+// Block times are unix seconds; 2^32 - 1 (year 2106) is far past any block but keeps ranges bounded
+const MAX_TIMESTAMP = 2 ** 32 - 1;
+const timeRange = { from: optional(integer({ max: MAX_TIMESTAMP })), to: optional(integer({ max: MAX_TIMESTAMP })) };
+const slippageRule = optional(number({ min: 0, max: 100 }), '0.5');
+const toSlippageBps = (percent) => BigInt(Math.round(percent * 100));
+
 // Routes
 
 // Health check
@@ -52,98 +141,535 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Readiness: RPC reachable, chain ID as configured and contract code present on every chain
+app.get('/health/ready', asyncRoute(async (req, res) => {
+  const { ready, chains } = await checkReadiness(CONTRACTS, getProvider, {
+    timeout: parseInt(process.env.READY_TIMEOUT || '3000')
+  });
+
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', timestamp: new Date().toISOString(), chains });
+}));
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', CONTENT_TYPE).send(render());
+});
+
+// OpenAPI document for the public routes (see client/ for the JS SDK built on it)
+app.get('/openapi.json', (req, res) => {
+  res.json(OPENAPI);
+});
+
 // Get pool info
-app.get('/api/pool/:chainId', async (req, res) => {
-  try {
-    const chainId = parseInt(req.params.chainId);
-    const contracts = CONTRACTS[chainId];
-    
-    if (!contracts || !contracts.pool) {
-      return res.status(400).json({ error: 'Chain not supported' });
-    }
+app.get('/api/pool/:chainId', validate({ params: { chainId: chainId() } }), asyncRoute(async (req, res) => {
+  const { chainId } = req.valid;
+  const contracts = requireContracts(chainId, 'pool');
 
-    const provider = getProvider(chainId);
-    const poolContract = new ethers.Contract(contracts.pool, POOL_ABI, provider);
-    const tokenAddress = await poolContract.token();
-    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
-
-    const [reserveETH, reserveToken, totalLiquidity, tokenSymbol, tokenName] = await Promise.all([
-      poolContract.reserveETH(),
-      poolContract.reserveToken(),
-      poolContract.totalLiquidity(),
-      tokenContract.symbol(),
-      tokenContract.name()
-    ]);
-
-    res.json({
-      chainId,
-      poolAddress: contracts.pool,
-      tokenAddress,
-      tokenSymbol,
-      tokenName,
-      reserveETH: reserveETH.toString(),
-      reserveToken: reserveToken.toString(),
-      totalLiquidity: totalLiquidity.toString(),
-      price: reserveETH > 0n ? (Number(reserveToken) / Number(reserveETH)).toString() : '0',
-      tvl: (Number(reserveETH) * 2 / 1e18).toFixed(4)
-    });
-  } catch (err) {
-    console.error('Error fetching pool:', err);
-    res.status(500).json({ error: 'Failed to fetch pool data' });
+  // Metadata is cached for good; every state read is pinned to one block so the numbers agree
+  const provider = getProvider(chainId);
+  const [pool, blockNumber] = await Promise.all([
+    resolvePool(chainId, provider, contracts.pool),
+    getBlockNumber(chainId)
+  ]);
+  const state = await readPoolState(chainId, provider, contracts.pool, blockNumber, pool.tokenDecimals);
+
+  res.json({
+    chainId,
+    poolAddress: contracts.pool,
+    tokenAddress: pool.tokenAddress,
+    tokenSymbol: pool.tokenSymbol,
+    tokenName: pool.tokenName,
+    ...state
+  });
+}));
+
+// List every pool created by the factory
+app.get('/api/pools/:chainId', validate({ params: { chainId: chainId() } }), (req, res) => {
+  const { chainId } = req.valid;
+  const registry = requireRegistry(chainId);
+
+  res.json({ chainId, factoryAddress: registry.factoryAddress, pools: registry.list() });
+});
+
+// Get a single factory pool with live reserves
+app.get('/api/pools/:chainId/:poolAddress', validate({
+  params: { chainId: chainId(), poolAddress: address() }
+}), asyncRoute(async (req, res) => {
+  const { chainId, poolAddress } = req.valid;
+  const pool = requireRegistry(chainId).get(poolAddress);
+
+  if (!pool) {
+    throw new ApiError(404, ERROR_CODES.POOL_NOT_FOUND, 'Pool not found');
   }
+
+  const blockNumber = await getBlockNumber(chainId);
+  const state = await readPoolState(chainId, getProvider(chainId), pool.poolAddress, blockNumber, pool.tokenDecimals);
+  res.json({ chainId, ...pool, ...state });
+}));
+
+// The chain's token list (https://tokenlists.org schema), every entry checked against the chain
+app.get('/api/tokenlist/:chainId', validate({ params: { chainId: chainId() } }), asyncRoute(async (req, res) => {
+  const { list } = await loadTokenList(req.valid.chainId, getProvider(req.valid.chainId));
+  res.json(list);
+}));
+
+// Entries left out of the token list and why, plus list files that could not be read
+app.get('/api/tokenlist/:chainId/status', validate({ params: { chainId: chainId() } }), asyncRoute(async (req, res) => {
+  const { chainId } = req.valid;
+  const { list, rejected, problems } = await loadTokenList(chainId, getProvider(chainId));
+  res.json({ chainId, name: list.name, version: list.version, timestamp: list.timestamp, tokenCount: list.tokens.length, rejected, problems });
+}));
+
+// OHLCV candles for a pool: prices from Sync reserves, volume from Swap events
+// Query: interval (1m|5m|1h|1d), from, to (unix seconds, block time)
+app.get('/api/candles/:chainId/:pool', validate({
+  params: { chainId: chainId(), pool: address() },
+  query: { interval: optional(oneOf(Object.keys(INTERVALS)), '1h'), ...timeRange }
+}), (req, res) => {
+  const { chainId, pool, interval, from, to } = req.valid;
+  requirePool(chainId, pool);
+  const indexer = requireIndexer(chainId);
+
+  const tokenDecimals = registries[chainId]?.get(pool)?.tokenDecimals ?? 18;
+  const events = indexer.list({ pool, types: ['Sync', 'Swap'], fromTime: from, toTime: to });
+  const candles = buildCandles(events, INTERVALS[interval], tokenDecimals).slice(-MAX_BUCKETS);
+
+  res.json({ chainId, pool, interval, candles });
 });
 
-// Calculate swap output
-app.get('/api/quote', (req, res) => {
-  try {
-    const { amountIn, reserveIn, reserveOut } = req.query;
-    
-    if (!amountIn || !reserveIn || !reserveOut) {
-      return res.status(400).json({ error: 'Missing parameters' });
-    }
+// Hourly and daily TVL, swap count, volume and fees for a pool
+// Query: from, to (unix seconds, block time)
+app.get('/api/stats/:chainId/:pool/history', validate({
+  params: { chainId: chainId(), pool: address() },
+  query: timeRange
+}), (req, res) => {
+  const { chainId, pool, from, to } = req.valid;
+  requirePool(chainId, pool);
+  const indexer = requireIndexer(chainId);
+
+  // Full history is needed so TVL carries forward into the requested window
+  const events = indexer.list({ pool, types: ['Sync', 'Swap'], toTime: to });
+
+  res.json({
+    chainId,
+    pool,
+    hourly: buildPoolHistory(events, INTERVALS['1h'], { from, to, maxBuckets: MAX_BUCKETS }),
+    daily: buildPoolHistory(events, INTERVALS['1d'], { from, to, maxBuckets: MAX_BUCKETS })
+  });
+});
 
-    const amountInBN = BigInt(amountIn);
-    const reserveInBN = BigInt(reserveIn);
-    const reserveOutBN = BigInt(reserveOut);
-
-    // Calculate with 0.3% fee
-    const amountInWithFee = amountInBN * 997n;
-    const numerator = amountInWithFee * reserveOutBN;
-    const denominator = reserveInBN * 1000n + amountInWithFee;
-    const amountOut = numerator / denominator;
-
-    // Calculate price impact
-    const idealOutput = (amountInBN * reserveOutBN) / reserveInBN;
-    const priceImpact = idealOutput > 0n 
-      ? ((idealOutput - amountOut) * 10000n / idealOutput).toString()
-      : '0';
-
-    res.json({
-      amountIn: amountIn,
-      amountOut: amountOut.toString(),
-      priceImpact: (Number(priceImpact) / 100).toFixed(2) + '%',
-      fee: '0.3%'
+// LP positions for a wallet across every pool: cost basis, redeemable amounts, HODL value,
+// impermanent loss and fee earnings
+app.get('/api/positions/:chainId/:address', validate({
+  params: { chainId: chainId(), address: address() }
+}), asyncRoute(async (req, res) => {
+  const { chainId, address } = req.valid;
+  const indexer = requireIndexer(chainId);
+
+  const provider = getProvider(chainId);
+  const blockNumber = await getBlockNumber(chainId);
+
+  const positions = await Promise.all(chainPools(chainId).map(async (poolAddress) => {
+    const events = indexer.list({ pool: poolAddress, types: POSITION_TYPES });
+    const position = await readPosition({ chainId, provider, events, poolAddress, user: address, blockNumber });
+    if (!position) return null;
+
+    return {
+      poolAddress,
+      tokenSymbol: registries[chainId]?.get(poolAddress)?.tokenSymbol ?? null,
+      ...position
+    };
+  }));
+
+  res.json({ chainId, address, blockNumber, positions: positions.filter(Boolean) });
+}));
+
+// Wallet history for accounting: one row per swap and liquidity event across every pool,
+// with amounts in both assets, execution price, LP tokens minted (+) or burned (-) and gas paid
+// Query: format (json|csv, default json), from, to (unix seconds, block time)
+app.get('/api/export/:chainId/:address', validate({
+  params: { chainId: chainId(), address: address() },
+  query: { format: optional(oneOf(['json', 'csv']), 'json'), ...timeRange }
+}), asyncRoute(async (req, res) => {
+  const { chainId, address, format, from, to } = req.valid;
+  const indexer = requireIndexer(chainId);
+  const user = address.toLowerCase();
+
+  const events = indexer.list({ types: HISTORY_TYPES, fromTime: from, toTime: to }).filter((event) => event.user === user);
+  if (events.length > MAX_EXPORT_ROWS) {
+    throw new ApiError(400, ERROR_CODES.INVALID_PARAMETER, `More than ${MAX_EXPORT_ROWS} events; narrow the from/to window`);
+  }
+
+  const provider = getProvider(chainId);
+  const pools = [...new Set(events.map((event) => event.pool))];
+  const [gasFees, poolInfos] = await Promise.all([
+    fetchGasFees(chainId, provider, [...new Set(events.map((event) => event.txHash))], address),
+    Promise.all(pools.map((pool) => registries[chainId]?.get(pool) ?? resolvePool(chainId, provider, pool)))
+  ]);
+  const infoByPool = Object.fromEntries(pools.map((pool, i) => [pool, poolInfos[i]]));
+
+  const rows = buildHistory(events, { poolInfo: (pool) => infoByPool[pool], gasFees });
+
+  if (format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="history-${chainId}-${user}.csv"`
     });
-  } catch (err) {
-    res.status(500).json({ error: 'Calculation failed' });
+    return res.send(toCSV(rows));
   }
+  res.json({ chainId, address, from: from ?? null, to: to ?? null, rows });
+}));
+
+// Live pool events over Server-Sent Events, pushed as each block is indexed
+// Query: pool (optional), type (comma-separated, default all)
+app.get('/api/stream/:chainId', validate({
+  params: { chainId: chainId() },
+  query: { pool: optional(address()), type: optional(listOf(EVENT_TYPES), 'all') }
+}), (req, res) => {
+  const { chainId, pool, type: types } = req.valid;
+  const indexer = requireIndexer(chainId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const unsubscribe = indexer.subscribe((events) => {
+    for (const event of events) {
+      if (pool && event.pool !== pool.toLowerCase()) continue;
+      if (!types.includes(event.type)) continue;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  });
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
-// Get swap history (mock - would need indexer in production)
-app.get('/api/swaps/:chainId', (req, res) => {
-  // In production, this would query events from the blockchain or an indexer
+// Calculate swap output
+app.get('/api/quote', validate({
+  query: { amountIn: amount(), reserveIn: amount(), reserveOut: amount() }
+}), (req, res) => {
+  const { amountIn, reserveIn, reserveOut } = req.valid;
+
+  // Calculate with 0.3% fee
+  const amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
+  const priceImpact = priceImpactBps(amountIn, amountOut, reserveIn, reserveOut);
+
   res.json({
-    chainId: req.params.chainId,
-    swaps: [],
-    message: 'Swap history requires an event indexer (e.g., The Graph)'
+    amountIn: amountIn.toString(),
+    amountOut: amountOut.toString(),
+    priceImpact: formatBps(priceImpact),
+    fee: '0.3%'
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`AMM DEX Backend running on port ${PORT}`);
-  console.log(`API endpoints:`);
-  console.log(`   GET /health`);
-  console.log(`   GET /api/pool/:chainId`);
-  console.log(`   GET /api/quote?amountIn=X&reserveIn=Y&reserveOut=Z`);
+// Quote a trade against a pool's live (or historical) reserves
+// Query: side (buy = ETH -> token, sell = token -> ETH), amountIn | amountOut (wei),
+//        slippage (percent, default 0.5), blockTag (block number, default latest)
+app.get('/api/quote/:chainId/:pool', validate({
+  params: { chainId: chainId(), pool: address() },
+  query: {
+    side: oneOf(['buy', 'sell']),
+    amountIn: optional(amount()),
+    amountOut: optional(amount()),
+    slippage: slippageRule,
+    blockTag: optional(integer())
+  }
+}), asyncRoute(async (req, res) => {
+  const { chainId, pool, side, amountIn, amountOut, slippage, blockTag } = req.valid;
+
+  requirePool(chainId, pool);
+  requireOneAmount(req.valid);
+
+  const provider = getProvider(chainId);
+  const blockNumber = blockTag ?? await getBlockNumber(chainId);
+  const { reserveETH, reserveToken } = await readReserves(chainId, provider, pool, blockNumber);
+
+  const quote = buildQuote({
+    side,
+    amountIn,
+    amountOut,
+    reserveETH,
+    reserveToken,
+    slippageBps: toSlippageBps(slippage),
+    tokenDecimals: registries[chainId]?.get(pool)?.tokenDecimals ?? 18
+  });
+
+  res.json({
+    chainId,
+    pool,
+    blockNumber,
+    reserveETH: reserveETH.toString(),
+    reserveToken: reserveToken.toString(),
+    ...quote
+  });
+}));
+
+// Quote a token -> ETH -> token swap across two factory pools
+// Query: tokenIn, tokenOut, amountIn | amountOut (wei), slippage (percent, default 0.5), blockTag
+app.get('/api/route/:chainId', validate({
+  params: { chainId: chainId() },
+  query: {
+    tokenIn: address(),
+    tokenOut: address(),
+    amountIn: optional(amount()),
+    amountOut: optional(amount()),
+    slippage: slippageRule,
+    blockTag: optional(integer())
+  }
+}), asyncRoute(async (req, res) => {
+  const { chainId, tokenIn, tokenOut, amountIn, amountOut, slippage, blockTag } = req.valid;
+  const contracts = requireContracts(chainId, 'factory');
+
+  if (tokenIn.toLowerCase() === tokenOut.toLowerCase()) {
+    throw new ApiError(400, ERROR_CODES.INVALID_PARAMETER, 'tokenIn and tokenOut must differ');
+  }
+  requireOneAmount(req.valid);
+
+  const provider = getProvider(chainId);
+  const blockNumber = blockTag ?? await getBlockNumber(chainId);
+  const decimalsOf = (token) => registries[chainId]?.list().find((p) => p.tokenAddress.toLowerCase() === token.toLowerCase())?.tokenDecimals ?? 18;
+
+  const [poolIn, poolOut] = await Promise.all([
+    loadRoutePool(chainId, provider, contracts.factory, tokenIn, blockNumber, decimalsOf(tokenIn)),
+    loadRoutePool(chainId, provider, contracts.factory, tokenOut, blockNumber, decimalsOf(tokenOut))
+  ]);
+
+  const route = buildRoute({
+    amountIn,
+    amountOut,
+    poolIn,
+    poolOut,
+    slippageBps: toSlippageBps(slippage)
+  });
+
+  res.json({ chainId, blockNumber, ...route });
+}));
+
+// Pre-flight a pool write with eth_call and eth_estimateGas: expected outputs, gas, and the
+// decoded revert (LiquidityPool custom error or require reason) when it would fail
+// Body: chainId, from, pool, method, args (named, e.g. { minTokensOut }), value (wei, payable methods)
+app.post('/api/simulate', validate({
+  body: {
+    chainId: chainId(),
+    from: address(),
+    pool: address(),
+    method: oneOf(SIMULATE_METHODS),
+    value: optional(uint())
+  }
+}), asyncRoute(async (req, res) => {
+  const { chainId, from, pool, method, value } = req.valid;
+  requirePool(chainId, pool);
+
+  const blockNumber = await getBlockNumber(chainId);
+  const result = await simulate(getProvider(chainId), { from, pool, method, args: req.body.args, value, blockNumber });
+
+  res.json({ chainId, blockNumber, from, pool, method, ...result });
+}));
+
+// Alert rules: price_cross { price, direction }, large_swap { minETH }, liquidity_removed { percent, window }.
+// Rules are scoped to the caller's x-api-key, which every alerts route requires; the signing secret
+// is only returned on creation.
+app.use('/api/alerts', (req, res, next) => {
+  req.alertOwner = ownerFor(req.get('x-api-key'));
+  next();
+});
+
+app.get('/api/alerts/rules', validate({ query: { chainId: optional(chainId()) } }), (req, res) => {
+  res.json({ rules: alerts.listRules(req.alertOwner, { chainId: req.valid.chainId }) });
+});
+
+// Body: chainId, pool, type, condition, webhookUrl
+app.post('/api/alerts/rules', validate({
+  body: { chainId: chainId(), pool: address(), type: oneOf(RULE_TYPES) }
+}), asyncRoute(async (req, res) => {
+  const { chainId, pool, type } = req.valid;
+  const indexer = requireIndexer(chainId);
+  requirePool(chainId, pool);
+
+  const rule = await alerts.createRule(req.alertOwner, {
+    chainId,
+    pool,
+    type,
+    condition: req.body.condition ?? {},
+    webhookUrl: req.body.webhookUrl,
+    headBlock: indexer.status().headBlock
+  });
+  res.status(201).json(rule);
+}));
+
+app.get('/api/alerts/rules/:id', (req, res) => {
+  res.json(alerts.getRule(req.alertOwner, req.params.id));
+});
+
+// Body: enabled, webhookUrl, condition (merged into the current one)
+app.patch('/api/alerts/rules/:id', asyncRoute(async (req, res) => {
+  const { enabled, webhookUrl, condition } = req.body ?? {};
+  res.json(await alerts.updateRule(req.alertOwner, req.params.id, { enabled, webhookUrl, condition }));
+}));
+
+app.delete('/api/alerts/rules/:id', (req, res) => {
+  alerts.deleteRule(req.alertOwner, req.params.id);
+  res.status(204).end();
+});
+
+// Send a sample signed delivery to the rule's webhook
+app.post('/api/alerts/rules/:id/test', (req, res) => {
+  res.status(202).json(alerts.sendTest(req.alertOwner, req.params.id));
+});
+
+// Delivery log, newest first. Query: ruleId, status (pending|delivered|failed), limit (1-500)
+app.get('/api/alerts/deliveries', validate({
+  query: {
+    ruleId: optional(custom((value) => value.length > 0, 'must not be empty')),
+    status: optional(oneOf(['pending', 'delivered', 'failed'])),
+    limit: optional(integer({ min: 1, max: 500 }), '50')
+  }
+}), (req, res) => {
+  res.json({ deliveries: alerts.listDeliveries(req.alertOwner, req.valid) });
+});
+
+// Get indexed pool events (newest first)
+// Query: pool, user, type (comma-separated or all, default Swap), fromBlock, toBlock, cursor, limit (1-500)
+app.get('/api/swaps/:chainId', validate({
+  params: { chainId: chainId() },
+  query: {
+    pool: optional(address()),
+    user: optional(address()),
+    type: optional(listOf(EVENT_TYPES), 'Swap'),
+    fromBlock: optional(integer()),
+    toBlock: optional(integer()),
+    cursor: optional(custom((value) => decodeCursor(value) !== null, 'is not a valid cursor')),
+    limit: optional(integer({ min: 1, max: 500 }), '50')
+  }
+}), (req, res) => {
+  const { chainId, pool, user, type, fromBlock, toBlock, cursor, limit } = req.valid;
+  const indexer = requireIndexer(chainId);
+
+  const result = indexer.query({
+    pool,
+    user,
+    types: type,
+    fromBlock,
+    toBlock,
+    cursor,
+    limit
+  });
+
+  res.json({ chainId, ...result, indexer: indexer.status() });
+});
+
+// GraphQL over pools, tokens, swaps, liquidity events and positions (schema.graphql).
+// Queries over HTTP GET/POST; subscriptions over WebSocket on the same path (graphql-transport-ws)
+const graphql = createGraphQL({
+  requireChain: (chainId) => {
+    if (!CONTRACTS[chainId]) throw unsupportedChain(chainId);
+  },
+  requireIndexer,
+  chainPools,
+  getRegistry: (chainId) => registries[chainId] ?? null,
+  apiKeys,
+  rateLimiter,
+  // Express's req.ip for a raw upgrade request, so X-Forwarded-For is honoured per 'trust proxy'
+  clientIp: (request) => Object.assign(Object.create(app.request), { app, headers: request.headers, connection: request.socket, socket: request.socket }).ip
+});
+app.all('/api/graphql', graphql.handler);
+
+app.use(notFound);
+app.use(errorHandler);
+
+// Start pool discovery and event indexing for every configured chain. With a factory,
+// every pool it has created (and creates later) is tracked; otherwise just the configured pool.
+const startChains = () => {
+  const indexerEnabled = process.env.INDEXER_ENABLED !== 'false';
+
+  for (const [chainId, contracts] of Object.entries(CONTRACTS)) {
+    if (!contracts.factory && !contracts.pool) continue;
+
+    const provider = getProvider(chainId);
+    const indexer = indexerEnabled
+      ? createIndexer({
+        chainId: Number(chainId),
+        provider,
+        confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '0')
+      })
+      : null;
+
+    if (contracts.factory) {
+      const registry = createPoolRegistry({
+        chainId: Number(chainId),
+        provider,
+        factoryAddress: contracts.factory,
+        startBlock: contracts.startBlock,
+        onPoolAdded: (pool, fromBlock) => indexer?.addPool(pool.poolAddress, fromBlock)
+      });
+      registry.start();
+      registries[chainId] = registry;
+    } else {
+      indexer?.addPool(contracts.pool, contracts.startBlock);
+    }
+
+    if (indexer) {
+      indexer.start();
+      indexers[chainId] = indexer;
+      alerts.attach(chainId, indexer);
+    }
+  }
+
+  alerts.start();
+};
+
+const main = async () => {
+  CONTRACTS = await loadDeployments(Object.keys(RPC_URLS));
+  for (const [chainId, contracts] of Object.entries(CONTRACTS)) {
+    if (contracts.factory || contracts.pool) {
+      console.log(`Chain ${chainId} (${contracts.source}): factory ${contracts.factory || '-'}, pool ${contracts.pool || '-'}`);
+    }
+  }
+
+  if (process.env.SKIP_DEPLOYMENT_CHECK !== 'true') {
+    await verifyDeployments(CONTRACTS, getProvider);
+  }
+
+  startChains();
+
+  const server = app.listen(PORT, () => {
+    console.log(`AMM DEX Backend running on port ${PORT}`);
+    console.log(`API endpoints:`);
+    console.log(`   GET /health`);
+    console.log(`   GET /health/ready`);
+    console.log(`   GET /metrics`);
+    console.log(`   GET /openapi.json`);
+    console.log(`   GET /api/pool/:chainId`);
+    console.log(`   GET /api/pools/:chainId`);
+    console.log(`   GET /api/pools/:chainId/:poolAddress`);
+    console.log(`   GET /api/tokenlist/:chainId, GET /api/tokenlist/:chainId/status`);
+    console.log(`   GET /api/candles/:chainId/:pool?interval=1m|5m|1h|1d&from=&to=`);
+    console.log(`   GET /api/stats/:chainId/:pool/history?from=&to=`);
+    console.log(`   GET /api/positions/:chainId/:address`);
+    console.log(`   GET /api/export/:chainId/:address?format=json|csv&from=&to=`);
+    console.log(`   GET /api/stream/:chainId?pool=&type=  (Server-Sent Events)`);
+    console.log(`   GET /api/quote?amountIn=X&reserveIn=Y&reserveOut=Z`);
+    console.log(`   GET /api/quote/:chainId/:pool?side=buy|sell&amountIn=|amountOut=&slippage=&blockTag=`);
+    console.log(`   GET /api/route/:chainId?tokenIn=&tokenOut=&amountIn=|amountOut=&slippage=&blockTag=`);
+    console.log(`   POST /api/simulate  { chainId, from, pool, method, args, value }`);
+    console.log(`   GET|POST /api/alerts/rules, GET|PATCH|DELETE /api/alerts/rules/:id, POST /api/alerts/rules/:id/test`);
+    console.log(`   GET /api/alerts/deliveries?ruleId=&status=&limit=`);
+    console.log(`   GET /api/swaps/:chainId?type=&user=&fromBlock=&toBlock=&cursor=&limit=`);
+    console.log(`   GET|POST /api/graphql  (subscriptions: ws://.../api/graphql)`);
+  });
+  graphql.attach(server, '/api/graphql');
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
 });
@@ -0,0 +1,168 @@
+// Types for amm-dex-client, matching backend/openapi.json
+
+export type Address = string;
+/** Accepted wherever the API takes a wei amount */
+export type AmountInput = bigint | string | number;
+
+export type ErrorCode =
+  | 'UNSUPPORTED_CHAIN'
+  | 'INVALID_ADDRESS'
+  | 'INVALID_AMOUNT'
+  | 'INVALID_PARAMETER'
+  | 'INVALID_BODY'
+  | 'INVALID_API_KEY'
+  | 'POOL_NOT_FOUND'
+  | 'NOT_FOUND'
+  | 'INSUFFICIENT_LIQUIDITY'
+  | 'RATE_LIMITED'
+  | 'RPC_UNAVAILABLE'
+  | 'INTERNAL_ERROR';
+
+export class AmmApiError extends Error {
+  constructor(status: number, code: ErrorCode, message: string, retryAfter?: number | null);
+  status: number;
+  code: ErrorCode;
+  retryAfter: number | null;
+}
+
+export interface Health {
+  status: string;
+  timestamp: string;
+}
+
+export interface Pool {
+  chainId: number;
+  poolAddress: Address;
+  tokenAddress: Address;
+  tokenSymbol: string;
+  tokenName: string;
+  blockNumber: number;
+  reserveETH: bigint;
+  reserveToken: bigint;
+  totalLiquidity: bigint;
+  /** Tokens per ETH, decimal string */
+  price: string;
+  /** ETH, decimal string */
+  tvl: string;
+}
+
+export interface SimpleQuote {
+  amountIn: bigint;
+  amountOut: bigint;
+  priceImpact: string;
+  fee: string;
+}
+
+export interface PoolQuote {
+  chainId: number;
+  pool: Address;
+  blockNumber: number;
+  reserveETH: bigint;
+  reserveToken: bigint;
+  side: 'buy' | 'sell';
+  mode: 'exactIn' | 'exactOut';
+  amountIn: bigint;
+  amountOut: bigint;
+  slippage: string;
+  priceBefore: string;
+  executionPrice: string;
+  priceAfter: string;
+  priceImpact: string;
+  fee: string;
+  minimumReceived?: bigint;
+  maximumSent?: bigint;
+}
+
+export type EventType = 'LiquidityAdded' | 'LiquidityRemoved' | 'Swap' | 'Sync';
+
+interface PoolEventBase<T extends EventType, Args> {
+  type: T;
+  pool: string;
+  user: string | null;
+  blockNumber: number;
+  logIndex: number;
+  txHash: string;
+  timestamp: number;
+  args: Args;
+}
+
+export type LiquidityAddedEvent = PoolEventBase<'LiquidityAdded', {
+  provider: string;
+  ethAmount: bigint;
+  tokenAmount: bigint;
+  liquidityMinted: bigint;
+}>;
+
+export type LiquidityRemovedEvent = PoolEventBase<'LiquidityRemoved', {
+  provider: string;
+  ethAmount: bigint;
+  tokenAmount: bigint;
+  liquidityBurned: bigint;
+}>;
+
+export type SwapEvent = PoolEventBase<'Swap', {
+  user: string;
+  ethIn: bigint;
+  tokenIn: bigint;
+  ethOut: bigint;
+  tokenOut: bigint;
+}>;
+
+export type SyncEvent = PoolEventBase<'Sync', {
+  reserveETH: bigint;
+  reserveToken: bigint;
+}>;
+
+/** Narrow on `type` to get the event's args */
+export type PoolEvent = LiquidityAddedEvent | LiquidityRemovedEvent | SwapEvent | SyncEvent;
+
+export interface IndexerStatus {
+  chainId: number;
+  headBlock: number | null;
+  pools: { address: string; lastBlock: number }[];
+  eventCount: number;
+}
+
+export interface SwapPage {
+  chainId: number;
+  events: PoolEvent[];
+  nextCursor: string | null;
+  indexer: IndexerStatus;
+}
+
+export interface PoolQuoteParams {
+  side: 'buy' | 'sell';
+  amountIn?: AmountInput;
+  amountOut?: AmountInput;
+  /** Percent, default 0.5 */
+  slippage?: number;
+  blockTag?: number;
+}
+
+export interface SwapsParams {
+  pool?: Address;
+  user?: Address;
+  /** Default 'Swap' */
+  type?: EventType | EventType[] | 'all';
+  fromBlock?: number;
+  toBlock?: number;
+  cursor?: string;
+  /** 1-500, default 50 */
+  limit?: number;
+}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  apiKey?: string;
+  fetch?: typeof fetch;
+}
+
+export interface AmmClient {
+  getHealth(): Promise<Health>;
+  getPool(chainId: number): Promise<Pool>;
+  getQuote(params: { amountIn: AmountInput; reserveIn: AmountInput; reserveOut: AmountInput }): Promise<SimpleQuote>;
+  getPoolQuote(chainId: number, pool: Address, params: PoolQuoteParams): Promise<PoolQuote>;
+  getSwaps(chainId: number, params?: SwapsParams): Promise<SwapPage>;
+}
+
+export function createClient(options?: ClientOptions): AmmClient;
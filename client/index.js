@@ -0,0 +1,94 @@
+// Client for the AMM DEX backend. Mirrors backend/openapi.json: one method per operationId.
+// Amounts in wei come back as bigint; every non-2xx response throws an AmmApiError.
+
+export class AmmApiError extends Error {
+  constructor(status, code, message, retryAfter = null) {
+    super(message);
+    this.name = 'AmmApiError';
+    this.status = status;
+    // Stable code from the API (UNSUPPORTED_CHAIN, INVALID_AMOUNT, RPC_UNAVAILABLE, ...)
+    this.code = code;
+    // Seconds to wait, set on RATE_LIMITED
+    this.retryAfter = retryAfter;
+  }
+}
+
+const toBigInts = (object, fields) => {
+  const out = { ...object };
+  for (const field of fields) {
+    if (out[field] !== undefined && out[field] !== null) out[field] = BigInt(out[field]);
+  }
+  return out;
+};
+
+const POOL_AMOUNTS = ['reserveETH', 'reserveToken', 'totalLiquidity'];
+const QUOTE_AMOUNTS = ['amountIn', 'amountOut', 'minimumReceived', 'maximumSent'];
+
+// Amount fields of each event's args; the rest (provider, user) are addresses and stay strings
+const EVENT_AMOUNTS = {
+  LiquidityAdded: ['ethAmount', 'tokenAmount', 'liquidityMinted'],
+  LiquidityRemoved: ['ethAmount', 'tokenAmount', 'liquidityBurned'],
+  Swap: ['ethIn', 'tokenIn', 'ethOut', 'tokenOut'],
+  Sync: ['reserveETH', 'reserveToken']
+};
+
+const parseEvent = (event) => ({
+  ...event,
+  args: toBigInts(event.args, EVENT_AMOUNTS[event.type] ?? [])
+});
+
+/**
+ * Create a client bound to one backend.
+ * Options: baseUrl (default http://localhost:3002), apiKey (sent as x-api-key),
+ * fetch (defaults to the global fetch).
+ */
+export function createClient({ baseUrl = 'http://localhost:3002', apiKey, fetch: fetchImpl = globalThis.fetch } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const request = async (path, query = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value === undefined || value === null) continue;
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    const search = params.toString();
+
+    const res = await fetchImpl(`${root}${path}${search ? `?${search}` : ''}`, {
+      headers: apiKey ? { 'x-api-key': apiKey } : {}
+    });
+    const body = await res.json().catch(() => null);
+
+    if (!res.ok) {
+      const retryAfter = res.headers.get('retry-after');
+      throw new AmmApiError(
+        res.status,
+        body?.code ?? 'INTERNAL_ERROR',
+        body?.error ?? `Request failed with status ${res.status}`,
+        retryAfter !== null ? Number(retryAfter) : null
+      );
+    }
+    return body;
+  };
+
+  const getHealth = () => request('/health');
+
+  const getPool = async (chainId) =>
+    toBigInts(await request(`/api/pool/${chainId}`), POOL_AMOUNTS);
+
+  const getQuote = async ({ amountIn, reserveIn, reserveOut }) =>
+    toBigInts(await request('/api/quote', { amountIn, reserveIn, reserveOut }), QUOTE_AMOUNTS);
+
+  // Pass exactly one of amountIn / amountOut
+  const getPoolQuote = async (chainId, pool, { side, amountIn, amountOut, slippage, blockTag }) =>
+    toBigInts(
+      await request(`/api/quote/${chainId}/${pool}`, { side, amountIn, amountOut, slippage, blockTag }),
+      [...QUOTE_AMOUNTS, 'reserveETH', 'reserveToken']
+    );
+
+  const getSwaps = async (chainId, { pool, user, type, fromBlock, toBlock, cursor, limit } = {}) => {
+    const page = await request(`/api/swaps/${chainId}`, { pool, user, type, fromBlock, toBlock, cursor, limit });
+    return { ...page, events: page.events.map(parseEvent) };
+  };
+
+  return { getHealth, getPool, getQuote, getPoolQuote, getSwaps };
+}
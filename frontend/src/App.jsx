@@ -1,26 +1,58 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Toaster } from 'react-hot-toast';
 import Header from './components/Header';
 import SwapCard from './components/SwapCard';
 import LiquidityCard from './components/LiquidityCard';
 import PoolStats from './components/PoolStats';
+import PoolSelector from './components/PoolSelector';
+import CreatePoolCard from './components/CreatePoolCard';
+import UnverifiedWarning from './components/UnverifiedWarning';
 import Footer from './components/Footer';
-import { useWeb3, usePoolData } from './hooks/useWeb3';
-import { CONTRACTS } from './contracts/abis';
-import { HiArrowsRightLeft, HiBeaker, HiChartBar, HiSparkles } from 'react-icons/hi2';
+import { useWeb3, usePoolData, useFactoryPools, useDeploymentCheck, useTokenList, useImportedTokens } from './hooks/useWeb3';
+import { CHAINS } from './contracts/abis';
+import { HiArrowsRightLeft, HiBeaker, HiChartBar, HiPlusCircle, HiSparkles } from 'react-icons/hi2';
 
 function App() {
   const [activeTab, setActiveTab] = useState('swap');
+  // Factory pool picked in the selector; null shows the chain's configured pool
+  const [selectedPool, setSelectedPool] = useState(null);
+  // Token to prefill in the create-pool form
+  const [createToken, setCreateToken] = useState('');
   const { provider, signer, account, isConnecting, error, connect, disconnect, chainId } = useWeb3();
-  const { poolData, poolContract, tokenContract, refetch } = usePoolData(provider, signer, account);
+  const { poolData, poolContract, tokenContract, poolAddress, refetch, chainId: poolChainId } = usePoolData(provider, signer, account, selectedPool);
+  const { pools, refetch: refetchPools } = useFactoryPools(provider, poolChainId);
+  const missingContracts = useDeploymentCheck(provider, poolChainId);
+  const { getToken } = useTokenList(poolChainId);
+  const { tokens: importedTokens, isImported, importToken, removeToken } = useImportedTokens(poolChainId);
+  const contracts = CHAINS[poolChainId]?.contracts;
+  const isUnverified = !!poolData.tokenAddress && !poolData.isLoading && !poolData.tokenListed && !isImported(poolData.tokenAddress);
+
+  // A pool picked on one chain doesn't exist on another
+  useEffect(() => {
+    setSelectedPool(null);
+  }, [poolChainId]);
 
   const isWrongNetwork = account && chainId !== 31337 && chainId !== 11155111;
-  const handleSuccess = () => refetch();
+  const handleSuccess = () => {
+    refetch();
+    refetchPools();
+  };
+
+  const handlePoolCreated = (pool) => {
+    setSelectedPool(pool);
+    refetchPools();
+  };
+
+  const handleCreatePool = (tokenAddress) => {
+    setCreateToken(tokenAddress || '');
+    setActiveTab('create');
+  };
 
   const tabs = [
     { id: 'swap', label: 'Swap', icon: HiArrowsRightLeft },
     { id: 'liquidity', label: 'Liquidity', icon: HiBeaker },
     { id: 'stats', label: 'Analytics', icon: HiChartBar },
+    { id: 'create', label: 'Create', icon: HiPlusCircle },
   ];
 
   return (
@@ -100,6 +132,15 @@ function App() {
           </div>
         )}
 
+        {missingContracts.length > 0 && (
+          <div className="max-w-md mx-auto mb-8 p-4 rounded-2xl bg-red-500/10 border border-red-500/30 animate-scale-in">
+            <p className="font-medium text-red-400">Contracts not found on this network</p>
+            <p className="text-sm text-red-400/70">
+              No code at the configured {missingContracts.join(', ')} address. Redeploy with script/Deploy.s.sol and restart the frontend.
+            </p>
+          </div>
+        )}
+
         {error && (
           <div className="max-w-md mx-auto mb-8 p-4 rounded-2xl bg-red-500/10 border border-red-500/30">
             <p className="text-red-400 text-center">{error}</p>
@@ -129,6 +170,44 @@ function App() {
           </div>
         </div>
 
+        {/* Pool */}
+        {poolAddress && (
+          <div className="max-w-lg mx-auto mb-6 relative z-20 animate-slide-up" style={{ animationDelay: '0.15s' }}>
+            <PoolSelector
+              pools={pools}
+              selected={poolAddress}
+              current={{ address: poolAddress, tokenSymbol: poolData.tokenSymbol, tokenLogo: poolData.tokenLogo }}
+              provider={provider}
+              factoryAddress={contracts?.factory}
+              isListed={(address) => !!getToken(address)}
+              importedTokens={importedTokens}
+              isImported={isImported}
+              onImport={importToken}
+              onRemoveImported={removeToken}
+              onSelect={setSelectedPool}
+              onCreate={contracts?.factory ? handleCreatePool : null}
+            />
+          </div>
+        )}
+
+        {isUnverified && (
+          <div className="max-w-lg mx-auto mb-6 animate-scale-in">
+            <UnverifiedWarning symbol={poolData.tokenSymbol}>
+              <button
+                onClick={() => importToken({
+                  address: poolData.tokenAddress,
+                  name: poolData.tokenName,
+                  symbol: poolData.tokenSymbol,
+                  decimals: poolData.tokenDecimals
+                })}
+                className="mt-2 px-3 py-1 text-xs font-medium bg-yellow-500/20 text-yellow-300 rounded-lg hover:bg-yellow-500/30 transition"
+              >
+                I understand, import {poolData.tokenSymbol}
+              </button>
+            </UnverifiedWarning>
+          </div>
+        )}
+
         {/* Content */}
         <div className="max-w-lg mx-auto animate-slide-up" style={{ animationDelay: '0.2s' }}>
           {activeTab === 'swap' && (
@@ -136,6 +215,7 @@ function App() {
               poolData={poolData}
               poolContract={poolContract}
               tokenContract={tokenContract}
+              pools={pools}
               signer={signer}
               account={account}
               onSuccess={handleSuccess}
@@ -151,6 +231,19 @@ function App() {
             />
           )}
           {activeTab === 'stats' && <PoolStats poolData={poolData} />}
+          {activeTab === 'create' && (
+            <CreatePoolCard
+              factoryAddress={contracts?.factory}
+              provider={provider}
+              signer={signer}
+              account={account}
+              poolData={poolData}
+              poolContract={poolContract}
+              initialToken={createToken}
+              onCreated={handlePoolCreated}
+              onSuccess={handleSuccess}
+            />
+          )}
         </div>
 
         {/* Contracts */}
@@ -165,10 +258,10 @@ function App() {
             <div className="mt-4 p-6 rounded-2xl glass-strong">
               <div className="space-y-3 font-mono text-sm">
                 {[
-                  { label: 'Factory', address: CONTRACTS.local.factory },
-                  { label: 'Token', address: CONTRACTS.local.token },
-                  { label: 'Pool', address: CONTRACTS.local.pool },
-                ].map((item) => (
+                  { label: 'Factory', address: contracts?.factory },
+                  { label: 'Token', address: poolData.tokenAddress },
+                  { label: 'Pool', address: poolAddress },
+                ].filter((item) => item.address).map((item) => (
                   <div key={item.label} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3 rounded-xl bg-white/5">
                     <span className="text-gray-400">{item.label}</span>
                     <span className="text-indigo-400 break-all text-xs">{item.address}</span>
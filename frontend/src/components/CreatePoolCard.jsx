@@ -0,0 +1,331 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
+import {
+  HiPlusCircle,
+  HiArrowPath,
+  HiCheckCircle,
+  HiExclamationTriangle,
+  HiInformationCircle
+} from 'react-icons/hi2';
+import { SiEthereum } from 'react-icons/si';
+import { FACTORY_ABI, ERC20_ABI } from '../contracts/abis';
+import { useTokenLookup } from '../hooks/useWeb3';
+import { isRevert, describeError } from '../utils/errors';
+import { sendChecked, simulateBeforeApproval } from '../utils/preflight';
+import TokenIcon from './TokenIcon';
+import toast from 'react-hot-toast';
+
+// Locked forever by the pool's first deposit (LiquidityPool.MINIMUM_LIQUIDITY)
+const MINIMUM_LIQUIDITY = 1000n;
+
+const formatNumber = (num, decimals = 4) => {
+  if (!num || isNaN(num)) return '0';
+  const n = parseFloat(num);
+  if (n === 0) return '0';
+  if (n < 0.0001) return '< 0.0001';
+  return n.toLocaleString('en-US', { maximumFractionDigits: decimals });
+};
+
+const formatUnits = (value, decimals = 18) => {
+  try { return ethers.formatUnits(value || 0n, decimals); } catch { return '0'; }
+};
+
+const parseUnits = (value, decimals = 18) => {
+  try { return ethers.parseUnits(value || '0', decimals); } catch { return 0n; }
+};
+
+// Create a factory pool for a token, then seed the selected pool's first liquidity at a chosen price
+export default function CreatePoolCard({ factoryAddress, provider, signer, account, poolData, poolContract, initialToken, onCreated, onSuccess }) {
+  const [tokenInput, setTokenInput] = useState(initialToken || '');
+  const [ethAmount, setEthAmount] = useState('');
+  const [price, setPrice] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const { totalLiquidity, tokenSymbol, tokenDecimals = 18, tokenLogo, userETHBalance, userTokenBalance, tokenAddress, isLoading } = poolData;
+  const needsSeed = !!poolContract && !isLoading && totalLiquidity === 0n;
+
+  // Token picked elsewhere (e.g. imported in the pool selector)
+  useEffect(() => {
+    if (initialToken) setTokenInput(initialToken);
+  }, [initialToken]);
+
+  // The pasted token and whether the factory already has a pool for it
+  const { token: tokenInfo, error: lookupError } = useTokenLookup(provider, factoryAddress, tokenInput.trim());
+
+  // Tokens deposited alongside the ETH so that 1 ETH = price tokens
+  const seedTokenWei = useMemo(() => {
+    const ethWei = parseUnits(ethAmount, 18);
+    const priceWei = parseUnits(price, tokenDecimals);
+    return ethWei * priceWei / 10n ** 18n;
+  }, [ethAmount, price, tokenDecimals]);
+
+  const ethWei = parseUnits(ethAmount, 18);
+  const hasSeedAmounts = ethWei > 0n && seedTokenWei > 0n;
+  // First deposit mints sqrt(eth * tokens) and must exceed MINIMUM_LIQUIDITY
+  const belowMinimum = hasSeedAmounts && ethWei * seedTokenWei <= (MINIMUM_LIQUIDITY + 1n) ** 2n;
+  const insufficientBalance = hasSeedAmounts && (ethWei > userETHBalance || seedTokenWei > userTokenBalance);
+
+  const handleCreate = async () => {
+    if (!signer || !factoryAddress || !tokenInfo) return;
+
+    setIsProcessing(true);
+    const toastId = toast.loading(`Creating ETH / ${tokenInfo.symbol} pool...`);
+    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, signer);
+
+    try {
+      const tx = await sendChecked(factory, 'createPool', [tokenInfo.address]);
+      toast.loading('Confirming transaction...', { id: toastId });
+      const receipt = await tx.wait();
+      const created = receipt.logs
+        .filter((log) => log.address.toLowerCase() === factoryAddress.toLowerCase())
+        .map((log) => factory.interface.parseLog(log))
+        .find((event) => event?.name === 'PoolCreated');
+
+      toast.success(
+        <div>
+          <p className="font-semibold">Pool Created!</p>
+          <p className="text-sm text-gray-400">Seed it with the first liquidity to open trading</p>
+        </div>,
+        { id: toastId, duration: 5000 }
+      );
+
+      setTokenInput('');
+      onCreated?.(created.args.pool);
+    } catch (err) {
+      if (isRevert(err, 'PoolExists')) {
+        // Created by someone else since the lookup: switch to it instead
+        const existing = await factory.getPool(tokenInfo.address);
+        toast.error(`A pool for ${tokenInfo.symbol} already exists. Switched to it.`, { id: toastId });
+        setTokenInput('');
+        onCreated?.(existing);
+      } else {
+        toast.error(describeError(err, { fallback: 'Failed to create pool' }), { id: toastId });
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleSeed = async () => {
+    if (!signer || !poolContract || !hasSeedAmounts) return;
+
+    setIsProcessing(true);
+    const toastId = toast.loading('Seeding liquidity...');
+
+    try {
+      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+      const allowance = await tokenContract.allowance(account, poolContract.target);
+
+      if (allowance < seedTokenWei) {
+        await simulateBeforeApproval(poolContract, 'addLiquidity', [seedTokenWei], { value: ethWei });
+        toast.loading('Approving tokens...', { id: toastId });
+        const approveTx = await sendChecked(tokenContract, 'approve', [poolContract.target, ethers.MaxUint256]);
+        await approveTx.wait();
+      }
+
+      toast.loading('Adding liquidity...', { id: toastId });
+      const tx = await sendChecked(poolContract, 'addLiquidity', [seedTokenWei], { value: ethWei });
+      await tx.wait();
+
+      toast.success(
+        <div>
+          <p className="font-semibold">Pool Seeded!</p>
+          <p className="text-sm text-gray-400">
+            {ethAmount} ETH + {formatNumber(formatUnits(seedTokenWei, tokenDecimals), 6)} {tokenSymbol} at 1 ETH = {price} {tokenSymbol}
+          </p>
+        </div>,
+        { id: toastId, duration: 5000 }
+      );
+
+      setEthAmount('');
+      setPrice('');
+      onSuccess?.();
+    } catch (err) {
+      toast.error(describeError(err, {
+        fallback: 'Failed to seed liquidity',
+        messages: { InsufficientLiquidity: 'The first deposit must mint more than 1000 LP units. Add more ETH and tokens.' }
+      }), { id: toastId });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (!factoryAddress) {
+    return (
+      <div className="card p-6">
+        <h2 className="text-xl font-bold text-white mb-2">Create Pool</h2>
+        <p className="text-sm text-gray-500">No factory is deployed on this network.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h2 className="text-xl font-bold text-white">Create Pool</h2>
+        <p className="text-sm text-gray-500">Open an ETH pair for any ERC-20 token</p>
+      </div>
+
+      {/* Seed the selected pool while it has no liquidity */}
+      {needsSeed && (
+        <div className="mb-6 p-4 rounded-xl bg-gradient-to-r from-indigo-500/10 to-purple-500/10 border border-indigo-500/20">
+          <div className="flex items-center gap-2 mb-1">
+            <HiInformationCircle className="text-indigo-400" />
+            <span className="font-medium text-white">Seed ETH / {tokenSymbol}</span>
+          </div>
+          <p className="text-sm text-gray-400 mb-4">
+            This pool has no liquidity. The first deposit sets its starting price.
+          </p>
+
+          <div className="p-4 rounded-xl bg-white/5 border border-white/10 mb-2">
+            <div className="flex justify-between mb-2">
+              <span className="text-sm text-gray-500">ETH Amount</span>
+              <span className="text-sm text-gray-500">Balance: {formatNumber(formatUnits(userETHBalance, 18))}</span>
+            </div>
+            <div className="flex items-center gap-3">
+              <input
+                type="number"
+                value={ethAmount}
+                onChange={(e) => setEthAmount(e.target.value)}
+                placeholder="0.0"
+                className="flex-1 bg-transparent text-2xl font-semibold text-white outline-none"
+              />
+              <div className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10">
+                <div className="w-6 h-6 rounded-full token-icon-eth flex items-center justify-center">
+                  <SiEthereum className="text-xs" />
+                </div>
+                <span className="font-semibold text-white">ETH</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="p-4 rounded-xl bg-white/5 border border-white/10">
+            <div className="flex justify-between mb-2">
+              <span className="text-sm text-gray-500">Initial price ({tokenSymbol} per ETH)</span>
+              <span className="text-sm text-gray-500">Balance: {formatNumber(formatUnits(userTokenBalance, tokenDecimals))}</span>
+            </div>
+            <div className="flex items-center gap-3">
+              <input
+                type="number"
+                value={price}
+                onChange={(e) => setPrice(e.target.value)}
+                placeholder="0.0"
+                className="flex-1 bg-transparent text-2xl font-semibold text-white outline-none"
+              />
+              <div className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10">
+                <div className="w-6 h-6 rounded-full token-icon-token flex items-center justify-center">
+                  <TokenIcon symbol={tokenSymbol} logoURI={tokenLogo} className="text-xs text-white" />
+                </div>
+                <span className="font-semibold text-white">{tokenSymbol}</span>
+              </div>
+            </div>
+          </div>
+
+          {hasSeedAmounts && (
+            <div className="mt-4 p-4 rounded-xl bg-white/5 space-y-2 text-sm animate-fade-in">
+              <div className="flex justify-between">
+                <span className="text-gray-500">You deposit</span>
+                <span className="text-white">
+                  {ethAmount} ETH + {formatNumber(formatUnits(seedTokenWei, tokenDecimals), 6)} {tokenSymbol}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Starting price</span>
+                <span className="text-white">1 {tokenSymbol} = {formatNumber(1 / parseFloat(price), 8)} ETH</span>
+              </div>
+            </div>
+          )}
+
+          {(belowMinimum || insufficientBalance) && (
+            <div className="mt-4 p-3 rounded-xl bg-red-500/10 border border-red-500/30 flex items-center gap-3">
+              <HiExclamationTriangle className="w-5 h-5 text-red-400 flex-shrink-0" />
+              <p className="text-sm text-red-400">
+                {insufficientBalance ? 'Insufficient balance for this deposit.' : 'Deposit too small: the first deposit must mint more than the locked minimum liquidity.'}
+              </p>
+            </div>
+          )}
+
+          <button
+            onClick={handleSeed}
+            disabled={!account || !hasSeedAmounts || belowMinimum || insufficientBalance || isProcessing}
+            className="w-full mt-4 py-4 rounded-xl font-semibold btn-primary text-white disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <span className="flex items-center justify-center gap-2">
+              {isProcessing ? (
+                <><HiArrowPath className="w-5 h-5 animate-spin" /> Processing...</>
+              ) : !account ? (
+                'Connect Wallet'
+              ) : (
+                <><HiCheckCircle className="w-5 h-5" /> Seed Liquidity</>
+              )}
+            </span>
+          </button>
+        </div>
+      )}
+
+      {/* Token Input */}
+      <div className="p-4 rounded-xl bg-white/5 border border-white/10">
+        <span className="text-sm text-gray-500">Token address</span>
+        <input
+          type="text"
+          value={tokenInput}
+          onChange={(e) => setTokenInput(e.target.value)}
+          placeholder="0x..."
+          className="w-full mt-2 bg-transparent font-mono text-white outline-none"
+        />
+      </div>
+
+      {tokenInput && !ethers.isAddress(tokenInput.trim()) && (
+        <p className="mt-2 text-sm text-red-400">Not a valid address</p>
+      )}
+
+      {lookupError && (
+        <p className="mt-2 text-sm text-red-400">{lookupError}</p>
+      )}
+
+      {tokenInfo && (
+        <div className="mt-4 p-4 rounded-xl bg-white/5 space-y-2 text-sm animate-fade-in">
+          <div className="flex justify-between">
+            <span className="text-gray-500">Token</span>
+            <span className="text-white">{tokenInfo.name} ({tokenInfo.symbol})</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-500">Decimals</span>
+            <span className="text-white">{tokenInfo.decimals}</span>
+          </div>
+          {tokenInfo.pool && (
+            <div className="flex items-center justify-between pt-2">
+              <span className="text-yellow-400">A pool for this token already exists</span>
+              <button
+                onClick={() => {
+                  setTokenInput('');
+                  onCreated?.(tokenInfo.pool);
+                }}
+                className="px-3 py-1 text-xs font-medium bg-indigo-500/20 text-indigo-400 rounded-lg hover:bg-indigo-500/30 transition"
+              >
+                Select it
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <button
+        onClick={handleCreate}
+        disabled={!account || !tokenInfo || !!tokenInfo.pool || isProcessing}
+        className="w-full mt-6 py-4 rounded-xl font-semibold btn-primary text-white disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <span className="flex items-center justify-center gap-2">
+          {isProcessing ? (
+            <><HiArrowPath className="w-5 h-5 animate-spin" /> Processing...</>
+          ) : !account ? (
+            'Connect Wallet'
+          ) : (
+            <><HiPlusCircle className="w-5 h-5" /> Create Pool</>
+          )}
+        </span>
+      </button>
+    </div>
+  );
+}
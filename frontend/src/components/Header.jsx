@@ -1,18 +1,13 @@
 import { useState } from 'react';
 import { HiWallet, HiBars3, HiXMark, HiArrowRightOnRectangle } from 'react-icons/hi2';
 import { SiEthereum } from 'react-icons/si';
+import { CHAINS } from '../contracts/abis';
 
 const formatAddress = (addr) => addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '';
 
-const chainNames = {
-  1: { name: 'Ethereum', color: 'bg-blue-500' },
-  11155111: { name: 'Sepolia', color: 'bg-purple-500' },
-  31337: { name: 'Localhost', color: 'bg-green-500' },
-};
-
 export default function Header({ account, chainId, isConnecting, onConnect, onDisconnect }) {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const chain = chainNames[chainId] || { name: `Chain ${chainId}`, color: 'bg-gray-500' };
+  const chain = CHAINS[chainId] || { name: `Chain ${chainId}`, color: 'bg-gray-500' };
 
   return (
     <header className="sticky top-0 z-50 glass-strong">
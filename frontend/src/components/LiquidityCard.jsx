@@ -5,10 +5,15 @@ import {
   HiMinus, 
   HiArrowPath,
   HiSparkles,
-  HiCheckCircle
+  HiCheckCircle,
+  HiExclamationTriangle
 } from 'react-icons/hi2';
 import { SiEthereum } from 'react-icons/si';
 import { ERC20_ABI } from '../contracts/abis';
+import TokenIcon from './TokenIcon';
+import { describeError } from '../utils/errors';
+import { sendChecked, simulateBeforeApproval } from '../utils/preflight';
+import { usePreflight } from '../hooks/useWeb3';
 import toast from 'react-hot-toast';
 
 const formatNumber = (num, decimals = 4) => {
@@ -34,7 +39,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
   const [liquidityAmount, setLiquidityAmount] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
 
-  const { reserveETH, reserveToken, totalLiquidity, userLiquidity, tokenSymbol, userETHBalance, userTokenBalance, tokenAddress } = poolData;
+  const { reserveETH, reserveToken, totalLiquidity, userLiquidity, tokenSymbol, tokenDecimals = 18, tokenLogo, userETHBalance, userTokenBalance, tokenAddress } = poolData;
 
   // Calculate required token when ETH changes
   const handleEthChange = (value) => {
@@ -45,7 +50,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
     }
     const ethWei = parseUnits(value, 18);
     const required = (ethWei * reserveToken) / reserveETH;
-    setTokenAmount(formatNumber(formatUnits(required, 18), 6));
+    setTokenAmount(formatNumber(formatUnits(required, tokenDecimals), 6));
   };
 
   // Pool share calculation
@@ -54,17 +59,65 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
     return Number(userLiquidity * 10000n / totalLiquidity) / 100;
   }, [userLiquidity, totalLiquidity]);
 
+  // Deposit amounts in wei; tokenAmount is only the rounded display of tokenWei
+  const addAmounts = useMemo(() => {
+    const ethWei = parseUnits(ethAmount, 18);
+    if (ethWei === 0n || !reserveETH || reserveETH === 0n) return { ethWei, tokenWei: 0n };
+    return { ethWei, tokenWei: ethWei * reserveToken / reserveETH };
+  }, [ethAmount, reserveETH, reserveToken]);
+
   // Removal amounts
   const removalAmounts = useMemo(() => {
     if (!liquidityAmount || parseFloat(liquidityAmount) === 0 || totalLiquidity === 0n) {
-      return { eth: '0', token: '0' };
+      return { eth: '0', token: '0', liqWei: 0n, ethWei: 0n, tokenWei: 0n };
     }
     const liqWei = parseUnits(liquidityAmount, 18);
+    const ethWei = liqWei * reserveETH / totalLiquidity;
+    const tokenWei = liqWei * reserveToken / totalLiquidity;
     return {
-      eth: formatNumber(formatUnits(liqWei * reserveETH / totalLiquidity, 18), 6),
-      token: formatNumber(formatUnits(liqWei * reserveToken / totalLiquidity, 18), 4)
+      eth: formatNumber(formatUnits(ethWei, 18), 6),
+      token: formatNumber(formatUnits(tokenWei, tokenDecimals), 4),
+      liqWei,
+      ethWei,
+      tokenWei
     };
-  }, [liquidityAmount, reserveETH, reserveToken, totalLiquidity]);
+  }, [liquidityAmount, reserveETH, reserveToken, totalLiquidity, tokenDecimals]);
+
+  // Removal accepts up to 1% less than quoted
+  const minEth = removalAmounts.ethWei * 99n / 100n;
+  const minToken = removalAmounts.tokenWei * 99n / 100n;
+
+  // The write the active tab's button would send, checked ahead of time
+  const preflight = usePreflight((() => {
+    if (!account || !signer || !poolContract) return null;
+    if (activeTab === 'add') {
+      const { ethWei, tokenWei } = addAmounts;
+      if (ethWei === 0n || tokenWei === 0n) return null;
+      return { contract: poolContract, method: 'addLiquidity', args: [tokenWei], value: ethWei, approval: { token: tokenAddress, amount: tokenWei } };
+    }
+    if (removalAmounts.liqWei === 0n) return null;
+    return { contract: poolContract, method: 'removeLiquidity', args: [removalAmounts.liqWei, minEth, minToken] };
+  })());
+  const preflightError = preflight.error ? describeError(preflight.error, {
+    fallback: activeTab === 'add' ? 'Adding this liquidity would fail' : 'Removing this liquidity would fail',
+    slippage: activeTab === 'add' ? undefined : 1,
+    messages: activeTab === 'add' ? {} : { InsufficientLiquidity: 'You don\'t have that many LP tokens.' }
+  }) : null;
+
+  const preflightNotice = preflightError ? (
+    <div className="mt-4 p-3 rounded-xl bg-red-500/10 border border-red-500/30 flex items-center gap-3 animate-scale-in">
+      <HiExclamationTriangle className="w-5 h-5 text-red-400 flex-shrink-0" />
+      <p className="text-sm text-red-400">{preflightError}</p>
+    </div>
+  ) : (preflight.isChecking || preflight.fee !== null) && (
+    <div className="mt-4 flex justify-between text-sm">
+      <span className="text-gray-500">Network Fee</span>
+      <span className="text-white">
+        {preflight.isChecking ? 'Estimating...' : `~${formatNumber(formatUnits(preflight.fee, 18), 6)} ETH`}
+        {preflight.needsApproval && <span className="text-gray-500"> (approval)</span>}
+      </span>
+    </div>
+  );
 
   const handleAddLiquidity = async () => {
     if (!signer || !poolContract || !ethAmount || !tokenAmount) return;
@@ -73,20 +126,21 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
     const toastId = toast.loading('Adding liquidity...');
 
     try {
-      const ethWei = parseUnits(ethAmount, 18);
-      const tokenWei = parseUnits(tokenAmount, 18);
+      const { ethWei, tokenWei } = addAmounts;
 
       const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
       const allowance = await tokenContract.allowance(account, poolContract.target);
 
       if (allowance < tokenWei) {
+        // Don't pay for an approval the deposit can't use
+        await simulateBeforeApproval(poolContract, 'addLiquidity', [tokenWei], { value: ethWei });
         toast.loading('Approving tokens...', { id: toastId });
-        const approveTx = await tokenContract.approve(poolContract.target, ethers.MaxUint256);
+        const approveTx = await sendChecked(tokenContract, 'approve', [poolContract.target, ethers.MaxUint256]);
         await approveTx.wait();
       }
 
       toast.loading('Adding liquidity...', { id: toastId });
-      const tx = await poolContract.addLiquidity(tokenWei, { value: ethWei });
+      const tx = await sendChecked(poolContract, 'addLiquidity', [tokenWei], { value: ethWei });
       await tx.wait();
 
       toast.success(
@@ -101,7 +155,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
       setTokenAmount('');
       onSuccess?.();
     } catch (err) {
-      toast.error(err.reason || 'Failed to add liquidity', { id: toastId });
+      toast.error(describeError(err, { fallback: 'Failed to add liquidity' }), { id: toastId });
     } finally {
       setIsProcessing(false);
     }
@@ -114,11 +168,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
     const toastId = toast.loading('Removing liquidity...');
 
     try {
-      const liqWei = parseUnits(liquidityAmount, 18);
-      const minEth = parseUnits(removalAmounts.eth, 18) * 99n / 100n;
-      const minToken = parseUnits(removalAmounts.token, 18) * 99n / 100n;
-
-      const tx = await poolContract.removeLiquidity(liqWei, minEth, minToken);
+      const tx = await sendChecked(poolContract, 'removeLiquidity', [removalAmounts.liqWei, minEth, minToken]);
       await tx.wait();
 
       toast.success(
@@ -132,7 +182,11 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
       setLiquidityAmount('');
       onSuccess?.();
     } catch (err) {
-      toast.error(err.reason || 'Failed to remove liquidity', { id: toastId });
+      toast.error(describeError(err, {
+        fallback: 'Failed to remove liquidity',
+        slippage: 1,
+        messages: { InsufficientLiquidity: 'You don\'t have that many LP tokens.' }
+      }), { id: toastId });
     } finally {
       setIsProcessing(false);
     }
@@ -236,7 +290,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
           <div className="p-4 rounded-xl bg-white/5 border border-white/10 mt-3">
             <div className="flex justify-between mb-2">
               <span className="text-sm text-gray-500">{tokenSymbol} Amount</span>
-              <span className="text-sm text-gray-500">Balance: {formatNumber(formatUnits(userTokenBalance, 18))}</span>
+              <span className="text-sm text-gray-500">Balance: {formatNumber(formatUnits(userTokenBalance, tokenDecimals))}</span>
             </div>
             <div className="flex items-center gap-3">
               <input
@@ -248,7 +302,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
               />
               <div className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10">
                 <div className="w-6 h-6 rounded-full token-icon-token flex items-center justify-center">
-                  <span className="text-xs text-white">{tokenSymbol?.[0]}</span>
+                  <TokenIcon symbol={tokenSymbol} logoURI={tokenLogo} className="text-xs text-white" />
                 </div>
                 <span className="font-semibold text-white">{tokenSymbol}</span>
               </div>
@@ -259,7 +313,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
             <div className="mt-4 p-4 rounded-xl bg-white/5 space-y-2 text-sm animate-fade-in">
               <div className="flex justify-between">
                 <span className="text-gray-500">Pool Rate</span>
-                <span className="text-white">1 ETH = {reserveETH > 0n ? formatNumber(formatUnits(reserveToken * 10n**18n / reserveETH, 18), 2) : '0'} {tokenSymbol}</span>
+                <span className="text-white">1 ETH = {reserveETH > 0n ? formatNumber(formatUnits(reserveToken * 10n**18n / reserveETH, tokenDecimals), 2) : '0'} {tokenSymbol}</span>
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-500">Share of Pool</span>
@@ -270,9 +324,11 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
             </div>
           )}
 
+          {!isProcessing && preflightNotice}
+
           <button
             onClick={handleAddLiquidity}
-            disabled={!account || !ethAmount || !tokenAmount || isProcessing}
+            disabled={!account || !ethAmount || !tokenAmount || isProcessing || !!preflightError}
             className="w-full mt-6 py-4 rounded-xl font-semibold btn-primary text-white disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <span className="flex items-center justify-center gap-2">
@@ -280,6 +336,8 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
                 <><HiArrowPath className="w-5 h-5 animate-spin" /> Processing...</>
               ) : !account ? (
                 'Connect Wallet'
+              ) : preflightError ? (
+                'Deposit Would Fail'
               ) : (
                 <><HiCheckCircle className="w-5 h-5" /> Add Liquidity</>
               )}
@@ -341,7 +399,7 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
                 <div className="flex items-center justify-between">
                   <div className="flex items-center gap-2">
                     <div className="w-6 h-6 rounded-full token-icon-token flex items-center justify-center">
-                      <span className="text-xs">{tokenSymbol?.[0]}</span>
+                      <TokenIcon symbol={tokenSymbol} logoURI={tokenLogo} />
                     </div>
                     <span className="text-white font-medium">{removalAmounts.token}</span>
                   </div>
@@ -351,9 +409,11 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
             </div>
           )}
 
+          {!isProcessing && preflightNotice}
+
           <button
             onClick={handleRemoveLiquidity}
-            disabled={!account || !liquidityAmount || userLiquidity === 0n || isProcessing}
+            disabled={!account || !liquidityAmount || userLiquidity === 0n || isProcessing || !!preflightError}
             className="w-full mt-6 py-4 rounded-xl font-semibold bg-gradient-to-r from-red-500 to-orange-500 text-white hover:shadow-lg hover:shadow-red-500/25 transition disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <span className="flex items-center justify-center gap-2">
@@ -361,6 +421,8 @@ export default function LiquidityCard({ poolData, poolContract, signer, account,
                 <><HiArrowPath className="w-5 h-5 animate-spin" /> Processing...</>
               ) : userLiquidity === 0n ? (
                 'No Liquidity'
+              ) : preflightError ? (
+                'Withdrawal Would Fail'
               ) : (
                 <><HiMinus className="w-5 h-5" /> Remove Liquidity</>
               )}
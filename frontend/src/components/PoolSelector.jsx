@@ -0,0 +1,266 @@
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import { HiChevronDown, HiMagnifyingGlass, HiPlus, HiExclamationTriangle, HiXMark } from 'react-icons/hi2';
+import { SiEthereum } from 'react-icons/si';
+import { useTokenLookup } from '../hooks/useWeb3';
+import TokenIcon from './TokenIcon';
+import UnverifiedWarning from './UnverifiedWarning';
+
+const formatAddress = (addr) => addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '';
+
+const formatReserve = (value) => {
+  const n = parseFloat(ethers.formatEther(value || 0n));
+  if (n === 0) return '0';
+  if (n < 0.0001) return '< 0.0001';
+  return n.toLocaleString('en-US', { maximumFractionDigits: 4 });
+};
+
+// Pair badge: ETH over the token's logo
+const PairIcon = ({ symbol, logoURI }) => (
+  <div className="flex -space-x-2">
+    <div className="w-8 h-8 rounded-full token-icon-eth flex items-center justify-center border-2 border-[#1a1b23] z-10">
+      <SiEthereum className="text-xs text-white" />
+    </div>
+    <div className="w-8 h-8 rounded-full token-icon-token flex items-center justify-center border-2 border-[#1a1b23]">
+      <TokenIcon symbol={symbol} logoURI={logoURI} className="text-xs text-white" />
+    </div>
+  </div>
+);
+
+// Details of a token pasted by address, with the actions to import it
+const ImportToken = ({ provider, factoryAddress, address, isListed, onImport, onSelect, onCreate }) => {
+  const { token, error, isLoading } = useTokenLookup(provider, factoryAddress, address);
+
+  if (isLoading) return <p className="px-3 py-4 text-sm text-center text-gray-500">Looking up token...</p>;
+  if (error) return <p className="px-3 py-4 text-sm text-center text-red-400">{error}</p>;
+  if (!token) return null;
+
+  return (
+    <div className="p-3 space-y-3">
+      <div className="space-y-1 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-500">Token</span>
+          <span className="text-white">{token.name} ({token.symbol})</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-500">Decimals</span>
+          <span className="text-white">{token.decimals}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-500">Total supply</span>
+          <span className="text-white">{parseFloat(ethers.formatUnits(token.totalSupply, token.decimals)).toLocaleString('en-US', { maximumFractionDigits: 4 })}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-500">Pool</span>
+          <span className="text-white font-mono">{token.pool ? formatAddress(token.pool) : 'None yet'}</span>
+        </div>
+      </div>
+
+      {!isListed(token.address) && <UnverifiedWarning symbol={token.symbol} />}
+
+      <div className="flex gap-2">
+        {token.pool ? (
+          <button
+            onClick={() => {
+              onImport(token);
+              onSelect(token.pool);
+            }}
+            className="flex-1 py-2 rounded-xl text-sm font-semibold btn-primary text-white"
+          >
+            Import and trade
+          </button>
+        ) : (
+          <>
+            <button
+              onClick={() => onImport(token)}
+              className="flex-1 py-2 rounded-xl text-sm font-medium bg-white/5 text-gray-300 hover:bg-white/10 transition"
+            >
+              Import
+            </button>
+            {onCreate && (
+              <button
+                onClick={() => {
+                  onImport(token);
+                  onCreate(token.address);
+                }}
+                className="flex-1 py-2 rounded-xl text-sm font-semibold btn-primary text-white"
+              >
+                Import and create pool
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Picker over the factory's pools and the user's imported tokens. Pasting a token address that
+// isn't listed offers to import it; `current` describes the pool shown when it isn't a factory pool.
+export default function PoolSelector({
+  pools,
+  selected,
+  current,
+  provider,
+  factoryAddress,
+  isListed,
+  importedTokens,
+  isImported,
+  onImport,
+  onRemoveImported,
+  onSelect,
+  onCreate
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState('');
+
+  const selectedPool = pools.find((pool) => pool.address.toLowerCase() === selected?.toLowerCase()) || current;
+  const query = search.trim().toLowerCase();
+
+  const matches = (token) =>
+    !query ||
+    token.symbol?.toLowerCase().includes(query) ||
+    token.name?.toLowerCase().includes(query) ||
+    token.address.toLowerCase() === query;
+
+  const filtered = pools.filter((pool) =>
+    matches({ symbol: pool.tokenSymbol, name: pool.tokenName, address: pool.tokenAddress }) ||
+    pool.address.toLowerCase() === query
+  );
+
+  // Imported tokens the factory has no pool for yet
+  const withoutPool = importedTokens.filter((token) =>
+    matches(token) && !pools.some((pool) => pool.tokenAddress.toLowerCase() === token.address.toLowerCase())
+  );
+
+  const showImport = ethers.isAddress(query) && filtered.length === 0 && withoutPool.length === 0;
+
+  const choose = (address) => {
+    onSelect(address);
+    setIsOpen(false);
+    setSearch('');
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-4 rounded-2xl glass-strong hover:border-indigo-500/30 transition"
+      >
+        <div className="flex items-center gap-3">
+          <PairIcon symbol={selectedPool?.tokenSymbol} logoURI={selectedPool?.tokenLogo} />
+          <div className="text-left">
+            <p className="font-semibold text-white">ETH / {selectedPool?.tokenSymbol || '...'}</p>
+            <p className="text-xs text-gray-500 font-mono">{formatAddress(selectedPool?.address)}</p>
+          </div>
+        </div>
+        <HiChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute z-20 mt-2 w-full p-2 rounded-2xl bg-[#1a1b23] border border-white/10 shadow-xl animate-scale-in">
+          <div className="flex items-center gap-2 px-3 py-2 mb-2 rounded-xl bg-white/5">
+            <HiMagnifyingGlass className="w-4 h-4 text-gray-500" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search symbol, name or address"
+              className="flex-1 bg-transparent text-sm text-white outline-none"
+              autoFocus
+            />
+          </div>
+
+          <div className="max-h-72 overflow-y-auto space-y-1">
+            {showImport && (
+              <ImportToken
+                provider={provider}
+                factoryAddress={factoryAddress}
+                address={query}
+                isListed={isListed}
+                onImport={onImport}
+                onSelect={choose}
+                onCreate={onCreate && ((address) => {
+                  setIsOpen(false);
+                  setSearch('');
+                  onCreate(address);
+                })}
+              />
+            )}
+            {!showImport && filtered.length === 0 && withoutPool.length === 0 && (
+              <p className="px-3 py-4 text-sm text-center text-gray-500">No pools found. Paste a token address to import it.</p>
+            )}
+            {filtered.map((pool) => (
+              <button
+                key={pool.address}
+                onClick={() => choose(pool.address)}
+                className={`w-full flex items-center justify-between px-3 py-2 rounded-xl transition ${
+                  pool.address === selectedPool?.address ? 'bg-indigo-500/20' : 'hover:bg-white/5'
+                }`}
+              >
+                <div className="flex items-center gap-3">
+                  <PairIcon symbol={pool.tokenSymbol} logoURI={pool.tokenLogo} />
+                  <div className="text-left">
+                    <p className="text-sm font-medium text-white flex items-center gap-1">
+                      {pool.tokenSymbol}
+                      {!pool.tokenListed && (isImported(pool.tokenAddress)
+                        ? <span className="text-xs font-normal text-gray-500">Imported</span>
+                        : <HiExclamationTriangle className="w-4 h-4 text-yellow-400" title="Not on the token list" />)}
+                    </p>
+                    <p className="text-xs text-gray-500">{pool.tokenName}</p>
+                  </div>
+                </div>
+                <span className="text-xs text-gray-400">
+                  {pool.reserveETH > 0n ? `${formatReserve(pool.reserveETH)} ETH` : 'No liquidity'}
+                </span>
+              </button>
+            ))}
+
+            {withoutPool.map((token) => (
+              <div key={token.address} className="flex items-center justify-between px-3 py-2 rounded-xl hover:bg-white/5">
+                <div className="text-left">
+                  <p className="text-sm font-medium text-white">{token.symbol} <span className="text-xs font-normal text-gray-500">Imported</span></p>
+                  <p className="text-xs text-gray-500">No pool yet</p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {onCreate && (
+                    <button
+                      onClick={() => {
+                        setIsOpen(false);
+                        setSearch('');
+                        onCreate(token.address);
+                      }}
+                      className="px-2 py-1 text-xs font-medium bg-indigo-500/20 text-indigo-400 rounded-lg hover:bg-indigo-500/30 transition"
+                    >
+                      Create pool
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onRemoveImported(token.address)}
+                    className="p-1 rounded-lg text-gray-500 hover:text-red-400 transition"
+                    title="Remove"
+                  >
+                    <HiXMark className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {onCreate && (
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                onCreate(null);
+              }}
+              className="w-full flex items-center justify-center gap-2 mt-2 py-2 rounded-xl text-sm font-medium text-indigo-400 bg-indigo-500/10 hover:bg-indigo-500/20 transition"
+            >
+              <HiPlus className="w-4 h-4" />
+              Create pool
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -9,6 +9,7 @@ import {
   HiShieldCheck
 } from 'react-icons/hi2';
 import { SiEthereum } from 'react-icons/si';
+import TokenIcon from './TokenIcon';
 
 const formatNumber = (num, decimals = 4) => {
   if (!num || isNaN(num)) return '0';
@@ -25,16 +26,16 @@ const formatUnits = (value, decimals = 18) => {
 };
 
 export default function PoolStats({ poolData }) {
-  const { reserveETH, reserveToken, totalLiquidity, tokenSymbol, tokenName, isLoading } = poolData;
+  const { reserveETH, reserveToken, totalLiquidity, tokenSymbol, tokenName, tokenDecimals = 18, tokenLogo, isLoading } = poolData;
 
   const stats = useMemo(() => {
     const price = reserveETH > 0n 
-      ? formatNumber(formatUnits(reserveToken * 10n**18n / reserveETH, 18), 4)
+      ? formatNumber(formatUnits(reserveToken * 10n**18n / reserveETH, tokenDecimals), 4)
       : '0';
     const tvl = Number(formatUnits(reserveETH * 2n, 18));
 
     return { price, tvl };
-  }, [reserveETH, reserveToken]);
+  }, [reserveETH, reserveToken, tokenDecimals]);
 
   if (isLoading) {
     return (
@@ -64,7 +65,7 @@ export default function PoolStats({ poolData }) {
     {
       icon: HiCube,
       label: `${tokenSymbol} Reserve`,
-      value: formatNumber(formatUnits(reserveToken, 18), 2),
+      value: formatNumber(formatUnits(reserveToken, tokenDecimals), 2),
       unit: tokenSymbol,
       color: 'from-purple-500 to-pink-500',
       iconBg: 'bg-purple-500/20',
@@ -112,7 +113,7 @@ export default function PoolStats({ poolData }) {
               <SiEthereum className="text-lg text-white" />
             </div>
             <div className="w-12 h-12 rounded-full token-icon-token flex items-center justify-center border-2 border-[#1a1b23]">
-              <span className="text-sm font-bold text-white">{tokenSymbol?.[0]}</span>
+              <TokenIcon symbol={tokenSymbol} logoURI={tokenLogo} className="text-sm font-bold text-white" />
             </div>
           </div>
           <div>
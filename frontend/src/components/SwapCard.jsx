@@ -8,9 +8,14 @@ import {
   HiCheckCircle,
   HiInformationCircle
 } from 'react-icons/hi2';
-import { SiEthereum } from 'react-icons/si';
-import { ERC20_ABI } from '../contracts/abis';
+import { ERC20_ABI, LIQUIDITY_POOL_ABI } from '../contracts/abis';
+import { getAmountIn, getAmountOut } from '../utils/helpers';
+import { quoteRoute, applySlippage, addSlippage } from '../utils/router';
+import { isRevert, describeError, slippageBetween } from '../utils/errors';
+import { sendChecked, simulateBeforeApproval } from '../utils/preflight';
+import { usePreflight } from '../hooks/useWeb3';
 import toast from 'react-hot-toast';
+import TokenIcon from './TokenIcon';
 
 const formatNumber = (num, decimals = 4) => {
   if (!num || isNaN(num)) return '0';
@@ -36,45 +41,101 @@ const parseUnits = (value, decimals = 18) => {
   }
 };
 
-export default function SwapCard({ poolData, poolContract, signer, account, onSuccess }) {
+// Decimal string cut to `places` fraction digits, for quotes shown in an editable field
+const truncate = (value, places = 6) => {
+  const [whole, fraction = ''] = value.split('.');
+  const cut = fraction.slice(0, places).replace(/0+$/, '');
+  return cut ? `${whole}.${cut}` : whole;
+};
+
+export default function SwapCard({ poolData, poolContract, pools = [], signer, account, onSuccess }) {
   const [direction, setDirection] = useState('ethToToken');
-  const [inputAmount, setInputAmount] = useState('');
+  // Pool of the token to route into when selling (token -> ETH -> token); null means plain ETH out
+  const [outputPoolAddress, setOutputPoolAddress] = useState(null);
+  const [outputPoolBalance, setOutputPoolBalance] = useState(0n);
+  // The amount the user typed, and which side it's on: exact input, or exact output (direct swaps only)
+  const [typedInput, setTypedInput] = useState('');
+  const [typedOutput, setTypedOutput] = useState('');
+  const [exactOutput, setExactOutput] = useState(false);
   const [slippage, setSlippage] = useState(0.5);
   const [showSettings, setShowSettings] = useState(false);
   const [isSwapping, setIsSwapping] = useState(false);
   const [isApproving, setIsApproving] = useState(false);
 
-  const { reserveETH, reserveToken, tokenSymbol, userETHBalance, userTokenBalance, tokenAddress } = poolData;
+  const { reserveETH, reserveToken, tokenSymbol, tokenDecimals = 18, tokenLogo, userETHBalance, userTokenBalance, tokenAddress } = poolData;
+
+  const routeTargets = useMemo(
+    () => pools.filter((pool) => pool.tokenAddress.toLowerCase() !== tokenAddress?.toLowerCase()),
+    [pools, tokenAddress]
+  );
+  const outputPool = direction === 'tokenToETH' && outputPoolAddress
+    ? routeTargets.find((pool) => pool.address === outputPoolAddress) || null
+    : null;
+  const isRouted = !!outputPool;
+  const inputDecimals = direction === 'ethToToken' ? 18 : tokenDecimals;
+  const outputDecimals = direction === 'ethToToken' ? tokenDecimals : isRouted ? outputPool.tokenDecimals ?? 18 : 18;
+  const isExactOutput = exactOutput && !isRouted;
+
+  // Input needed for the typed output. getAmountIn rounds up, so the pool's rounded-down output
+  // still covers the amount; maxAmountIn is the most the swap may spend under the slippage setting.
+  const exactOutputQuote = useMemo(() => {
+    if (!isExactOutput || !typedOutput || parseFloat(typedOutput) <= 0 || !reserveETH || !reserveToken) return null;
+    const [reserveIn, reserveOut] = direction === 'ethToToken'
+      ? [reserveETH, reserveToken]
+      : [reserveToken, reserveETH];
+
+    const amountOut = parseUnits(typedOutput, outputDecimals);
+    const amountIn = getAmountIn(amountOut, reserveIn, reserveOut);
+    if (amountIn === 0n) return null;
+    return { amountIn, amountOut, maxAmountIn: addSlippage(amountIn, slippage) };
+  }, [isExactOutput, typedOutput, outputDecimals, direction, reserveETH, reserveToken, slippage]);
+
+  const inputAmount = isExactOutput
+    ? exactOutputQuote ? formatUnits(exactOutputQuote.amountIn, inputDecimals) : ''
+    : typedInput;
+  const insufficientLiquidity = isExactOutput && parseFloat(typedOutput) > 0 && !exactOutputQuote;
+
+  // Balance of the routed output token
+  useEffect(() => {
+    if (!outputPool || !account || !signer) return;
+    const token = new ethers.Contract(outputPool.tokenAddress, ERC20_ABI, signer);
+    token.balanceOf(account).then(setOutputPoolBalance).catch(() => setOutputPoolBalance(0n));
+  }, [outputPool, account, signer]);
+
+  // Two-leg quote when routing into another token
+  const route = useMemo(() => {
+    if (!isRouted || !inputAmount || parseFloat(inputAmount) <= 0) return null;
+    return quoteRoute(
+      parseUnits(inputAmount, inputDecimals),
+      { address: poolContract?.target, reserveETH, reserveToken },
+      outputPool
+    );
+  }, [isRouted, inputAmount, inputDecimals, poolContract, reserveETH, reserveToken, outputPool]);
 
   // Calculate output
   const outputAmount = useMemo(() => {
+    if (isRouted) return route ? formatUnits(route.amountOut, outputDecimals) : '0';
     if (!inputAmount || parseFloat(inputAmount) <= 0 || !reserveETH || !reserveToken) return '0';
     
     try {
-      const inputWei = parseUnits(inputAmount, 18);
+      const inputWei = parseUnits(inputAmount, inputDecimals);
       const [reserveIn, reserveOut] = direction === 'ethToToken' 
         ? [reserveETH, reserveToken] 
         : [reserveToken, reserveETH];
 
-      if (reserveIn === 0n) return '0';
-
-      const inputWithFee = inputWei * 997n;
-      const numerator = inputWithFee * reserveOut;
-      const denominator = reserveIn * 1000n + inputWithFee;
-      const output = numerator / denominator;
-
-      return formatUnits(output, 18);
+      return formatUnits(getAmountOut(inputWei, reserveIn, reserveOut), outputDecimals);
     } catch {
       return '0';
     }
-  }, [inputAmount, direction, reserveETH, reserveToken]);
+  }, [isRouted, route, inputAmount, inputDecimals, outputDecimals, direction, reserveETH, reserveToken]);
 
   // Price impact
   const priceImpact = useMemo(() => {
+    if (isRouted) return route ? route.priceImpact : 0;
     if (!inputAmount || parseFloat(inputAmount) <= 0 || !reserveETH || !reserveToken) return 0;
 
     try {
-      const inputWei = parseUnits(inputAmount, 18);
+      const inputWei = parseUnits(inputAmount, inputDecimals);
       const [reserveIn, reserveOut] = direction === 'ethToToken' 
         ? [reserveETH, reserveToken] 
         : [reserveToken, reserveETH];
@@ -82,22 +143,64 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
       if (reserveIn === 0n) return 0;
 
       const idealOutput = (inputWei * reserveOut) / reserveIn;
-      const actualOutput = parseUnits(outputAmount, 18);
+      const actualOutput = parseUnits(outputAmount, outputDecimals);
 
       if (idealOutput === 0n) return 0;
       return Number((idealOutput - actualOutput) * 10000n / idealOutput) / 100;
     } catch {
       return 0;
     }
-  }, [inputAmount, outputAmount, direction, reserveETH, reserveToken]);
+  }, [isRouted, route, inputAmount, outputAmount, inputDecimals, outputDecimals, direction, reserveETH, reserveToken]);
 
   // Exchange rate
   const rate = useMemo(() => {
     if (!reserveETH || !reserveToken || reserveETH === 0n) return '0';
+    if (isRouted) {
+      if (reserveToken === 0n || outputPool.reserveETH === 0n) return '0';
+      return formatNumber(formatUnits(reserveETH * outputPool.reserveToken * 10n**BigInt(tokenDecimals) / (reserveToken * outputPool.reserveETH), outputDecimals), 6);
+    }
     return direction === 'ethToToken'
-      ? formatNumber(formatUnits(reserveToken * 10n**18n / reserveETH, 18), 4)
-      : formatNumber(formatUnits(reserveETH * 10n**18n / reserveToken, 18), 6);
-  }, [reserveETH, reserveToken, direction]);
+      ? formatNumber(formatUnits(reserveToken * 10n**18n / reserveETH, tokenDecimals), 4)
+      : formatNumber(formatUnits(reserveETH * 10n**BigInt(tokenDecimals) / reserveToken, 18), 6);
+  }, [reserveETH, reserveToken, tokenDecimals, outputDecimals, direction, isRouted, outputPool]);
+
+  // The write the Swap button would send (the first leg when routed), checked ahead of time
+  const preflight = usePreflight((() => {
+    if (!account || !signer || !poolContract || !inputAmount || parseFloat(inputAmount) <= 0) return null;
+    if (isRouted && !route) return null;
+
+    const inputWei = isExactOutput ? exactOutputQuote.amountIn : parseUnits(inputAmount, inputDecimals);
+    const minOutput = isExactOutput
+      ? exactOutputQuote.amountOut
+      : applySlippage(parseUnits(outputAmount, outputDecimals), slippage);
+    if (direction === 'ethToToken') {
+      return { contract: poolContract, method: 'swapETHForToken', args: [minOutput], value: inputWei };
+    }
+    return {
+      contract: poolContract,
+      method: 'swapTokenForETH',
+      args: [inputWei, isRouted ? applySlippage(route.ethOut, slippage) : minOutput],
+      approval: { token: tokenAddress, amount: inputWei }
+    };
+  })());
+  const preflightError = preflight.error ? describeError(preflight.error, { fallback: 'This swap would fail', slippage }) : null;
+
+  // Slippage the current quote needs on the pool's reserves right now (direct swaps only)
+  const requiredSlippage = async () => {
+    if (isRouted) return null;
+    const [freshETH, freshToken] = await poolContract.getReserves();
+    const [reserveIn, reserveOut] = direction === 'ethToToken'
+      ? [freshETH, freshToken]
+      : [freshToken, freshETH];
+
+    if (isExactOutput) {
+      const amountIn = getAmountIn(exactOutputQuote.amountOut, reserveIn, reserveOut);
+      return amountIn > exactOutputQuote.amountIn ? slippageBetween(exactOutputQuote.amountIn, amountIn) : null;
+    }
+    const quoted = parseUnits(outputAmount, outputDecimals);
+    const actual = getAmountOut(parseUnits(inputAmount, inputDecimals), reserveIn, reserveOut);
+    return actual < quoted ? slippageBetween(quoted, actual) : null;
+  };
 
   const handleSwap = async () => {
     if (!signer || !poolContract || !inputAmount) return;
@@ -106,28 +209,98 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
     const toastId = toast.loading('Preparing swap...');
 
     try {
-      const inputWei = parseUnits(inputAmount, 18);
-      const minOutput = parseUnits(outputAmount, 18) * BigInt(Math.floor((100 - slippage) * 10)) / 1000n;
+      let inputWei = parseUnits(inputAmount, inputDecimals);
+      let minOutput = parseUnits(outputAmount, outputDecimals) * BigInt(Math.floor((100 - slippage) * 10)) / 1000n;
+
+      if (isExactOutput) {
+        // Re-quote on fresh reserves and send exactly what the pool needs now, as long as it's within the maximum
+        const [freshETH, freshToken] = await poolContract.getReserves();
+        const amountIn = direction === 'ethToToken'
+          ? getAmountIn(exactOutputQuote.amountOut, freshETH, freshToken)
+          : getAmountIn(exactOutputQuote.amountOut, freshToken, freshETH);
+
+        if (amountIn === 0n) {
+          toast.error('The pool no longer has enough liquidity for this amount.', { id: toastId });
+          return;
+        }
+        if (amountIn > exactOutputQuote.maxAmountIn) {
+          toast.error(
+            `Price moved beyond your ${slippage}% slippage tolerance. Raise slippage to ${slippageBetween(exactOutputQuote.amountIn, amountIn)}% or try again.`,
+            { id: toastId }
+          );
+          return;
+        }
+        inputWei = amountIn;
+        minOutput = exactOutputQuote.amountOut;
+      }
 
-      let tx;
-      if (direction === 'ethToToken') {
-        toast.loading('Swapping ETH for tokens...', { id: toastId });
-        tx = await poolContract.swapETHForToken(minOutput, { value: inputWei });
-      } else {
-        // Approve first
+      // Approve the pool for the swap, once the swap itself is known to pass every check before the transfer
+      const approveIfNeeded = async (args) => {
         const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
         const allowance = await tokenContract.allowance(account, poolContract.target);
         
         if (allowance < inputWei) {
+          await simulateBeforeApproval(poolContract, 'swapTokenForETH', args);
           setIsApproving(true);
           toast.loading('Approving tokens...', { id: toastId });
-          const approveTx = await tokenContract.approve(poolContract.target, ethers.MaxUint256);
+          const approveTx = await sendChecked(tokenContract, 'approve', [poolContract.target, ethers.MaxUint256]);
           await approveTx.wait();
           setIsApproving(false);
         }
+      };
+
+      let tx;
+      if (direction === 'ethToToken') {
+        toast.loading('Swapping ETH for tokens...', { id: toastId });
+        tx = await sendChecked(poolContract, 'swapETHForToken', [minOutput], { value: inputWei });
+      } else if (isRouted) {
+        // Leg 1: token -> ETH, bounded by the per-leg slippage
+        const legOneArgs = [inputWei, applySlippage(route.ethOut, slippage)];
+        await approveIfNeeded(legOneArgs);
+
+        toast.loading(`Swapping ${tokenSymbol} for ETH (1/2)...`, { id: toastId });
+        const legOneTx = await sendChecked(poolContract, 'swapTokenForETH', legOneArgs);
+        const legOneReceipt = await legOneTx.wait();
+        const legOneSwap = legOneReceipt.logs
+          .filter((log) => log.address.toLowerCase() === poolContract.target.toLowerCase())
+          .map((log) => poolContract.interface.parseLog(log))
+          .find((event) => event?.name === 'Swap');
+
+        // Without the Swap event the ETH received is unknown, so leg 2 can't be sized
+        if (!legOneSwap) {
+          toast.error(
+            `The ${tokenSymbol} to ETH swap went through, but its result couldn't be read. You now hold the ETH from the first leg; swap it for ${outputPool.tokenSymbol} separately.`,
+            { id: toastId, duration: 8000 }
+          );
+          onSuccess?.();
+          return;
+        }
+        const ethReceived = legOneSwap.args.ethOut;
+
+        // Leg 2: ETH -> token, re-quoted on fresh reserves and bounded by both
+        // the per-leg slippage and the overall minimum for the whole route
+        const outPoolContract = new ethers.Contract(outputPool.address, LIQUIDITY_POOL_ABI, signer);
+        const [outReserveETH, outReserveToken] = await outPoolContract.getReserves();
+        const expectedOut = getAmountOut(ethReceived, outReserveETH, outReserveToken);
+        const legTwoMin = applySlippage(expectedOut, slippage);
+
+        if (expectedOut < minOutput) {
+          toast.error(
+            `Price moved beyond ${slippage}% slippage. You now hold ${formatNumber(formatUnits(ethReceived, 18), 6)} ETH from the first leg.`,
+            { id: toastId, duration: 8000 }
+          );
+          onSuccess?.();
+          return;
+        }
+
+        toast.loading(`Swapping ETH for ${outputPool.tokenSymbol} (2/2)...`, { id: toastId });
+        tx = await sendChecked(outPoolContract, 'swapETHForToken', [legTwoMin > minOutput ? legTwoMin : minOutput], { value: ethReceived });
+      } else {
+        // Approve first
+        await approveIfNeeded([inputWei, minOutput]);
 
         toast.loading('Swapping tokens for ETH...', { id: toastId });
-        tx = await poolContract.swapTokenForETH(inputWei, minOutput);
+        tx = await sendChecked(poolContract, 'swapTokenForETH', [inputWei, minOutput]);
       }
 
       toast.loading('Confirming transaction...', { id: toastId });
@@ -137,17 +310,19 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
         <div>
           <p className="font-semibold">Swap Successful!</p>
           <p className="text-sm text-gray-400">
-            {inputAmount} {direction === 'ethToToken' ? 'ETH' : tokenSymbol} → {formatNumber(outputAmount)} {direction === 'ethToToken' ? tokenSymbol : 'ETH'}
+            {formatNumber(formatUnits(inputWei, inputDecimals), 6)} {inputToken.symbol} → {formatNumber(outputAmount)} {outputToken.symbol}
           </p>
         </div>,
         { id: toastId, duration: 5000 }
       );
 
-      setInputAmount('');
+      setTypedInput('');
+      setTypedOutput('');
       onSuccess?.();
     } catch (err) {
       console.error(err);
-      toast.error(err.reason || 'Swap failed', { id: toastId });
+      const neededSlippage = isRevert(err, 'SlippageExceeded') ? await requiredSlippage().catch(() => null) : null;
+      toast.error(describeError(err, { fallback: 'Swap failed', slippage, neededSlippage }), { id: toastId });
     } finally {
       setIsSwapping(false);
       setIsApproving(false);
@@ -156,11 +331,37 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
 
   const switchDirection = () => {
     setDirection(d => d === 'ethToToken' ? 'tokenToETH' : 'ethToToken');
-    setInputAmount('');
+    setOutputPoolAddress(null);
+    setTypedInput('');
+    setTypedOutput('');
+    setExactOutput(false);
   };
 
-  const inputToken = direction === 'ethToToken' ? { symbol: 'ETH', balance: userETHBalance, isEth: true } : { symbol: tokenSymbol, balance: userTokenBalance, isEth: false };
-  const outputToken = direction === 'ethToToken' ? { symbol: tokenSymbol, balance: userTokenBalance, isEth: false } : { symbol: 'ETH', balance: userETHBalance, isEth: true };
+  const typeInput = (value) => {
+    setTypedInput(value);
+    setExactOutput(false);
+  };
+
+  const typeOutput = (value) => {
+    setTypedOutput(value);
+    setExactOutput(true);
+  };
+
+  // Routes only quote an exact input, so picking one goes back to the input side
+  const chooseOutputPool = (address) => {
+    if (isExactOutput) setTypedInput(inputAmount);
+    setOutputPoolAddress(address);
+    setExactOutput(false);
+  };
+
+  const eth = { symbol: 'ETH', balance: userETHBalance, isEth: true };
+  const poolToken = { symbol: tokenSymbol, logoURI: tokenLogo, balance: userTokenBalance, isEth: false };
+  const inputToken = direction === 'ethToToken' ? eth : poolToken;
+  const outputToken = direction === 'ethToToken'
+    ? poolToken
+    : isRouted
+    ? { symbol: outputPool.tokenSymbol, logoURI: outputPool.tokenLogo, balance: outputPoolBalance, isEth: false }
+    : eth;
 
   const impactClass = priceImpact < 1 ? 'impact-low' : priceImpact < 3 ? 'impact-medium' : 'impact-high';
   const isHighImpact = priceImpact >= 5;
@@ -218,27 +419,27 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
         <div className="flex justify-between mb-2">
           <span className="text-sm text-gray-500">You pay</span>
           <span className="text-sm text-gray-500">
-            Balance: {formatNumber(formatUnits(inputToken.balance, 18))}
+            Balance: {formatNumber(formatUnits(inputToken.balance, inputDecimals))}
           </span>
         </div>
         <div className="flex items-center gap-3">
           <input
             type="number"
             value={inputAmount}
-            onChange={(e) => setInputAmount(e.target.value)}
+            onChange={(e) => typeInput(e.target.value)}
             placeholder="0.0"
             className="flex-1 bg-transparent text-2xl md:text-3xl font-semibold text-white outline-none"
           />
           <div className="flex items-center gap-2">
             <button
-              onClick={() => setInputAmount(formatUnits(inputToken.balance * 99n / 100n, 18))}
+              onClick={() => typeInput(formatUnits(inputToken.balance * 99n / 100n, inputDecimals))}
               className="px-2 py-1 text-xs font-medium bg-indigo-500/20 text-indigo-400 rounded-lg hover:bg-indigo-500/30 transition"
             >
               MAX
             </button>
             <div className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10">
               <div className={`w-6 h-6 rounded-full flex items-center justify-center ${inputToken.isEth ? 'token-icon-eth' : 'token-icon-token'}`}>
-                {inputToken.isEth ? <SiEthereum className="text-xs" /> : <span className="text-xs">{inputToken.symbol[0]}</span>}
+                <TokenIcon symbol={inputToken.symbol} logoURI={inputToken.logoURI} isEth={inputToken.isEth} />
               </div>
               <span className="font-semibold text-white">{inputToken.symbol}</span>
             </div>
@@ -261,18 +462,36 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
         <div className="flex justify-between mb-2">
           <span className="text-sm text-gray-500">You receive</span>
           <span className="text-sm text-gray-500">
-            Balance: {formatNumber(formatUnits(outputToken.balance, 18))}
+            Balance: {formatNumber(formatUnits(outputToken.balance, outputDecimals))}
           </span>
         </div>
         <div className="flex items-center gap-3">
-          <div className="flex-1 text-2xl md:text-3xl font-semibold text-white">
-            {parseFloat(outputAmount) > 0 ? formatNumber(outputAmount, 6) : '0.0'}
-          </div>
+          <input
+            type="number"
+            value={isExactOutput ? typedOutput : parseFloat(outputAmount) > 0 ? truncate(outputAmount) : ''}
+            onChange={(e) => typeOutput(e.target.value)}
+            readOnly={isRouted}
+            placeholder="0.0"
+            className="flex-1 min-w-0 bg-transparent text-2xl md:text-3xl font-semibold text-white outline-none"
+          />
           <div className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10">
             <div className={`w-6 h-6 rounded-full flex items-center justify-center ${outputToken.isEth ? 'token-icon-eth' : 'token-icon-token'}`}>
-              {outputToken.isEth ? <SiEthereum className="text-xs" /> : <span className="text-xs">{outputToken.symbol[0]}</span>}
+              <TokenIcon symbol={outputToken.symbol} logoURI={outputToken.logoURI} isEth={outputToken.isEth} />
             </div>
-            <span className="font-semibold text-white">{outputToken.symbol}</span>
+            {direction === 'tokenToETH' && routeTargets.length > 0 ? (
+              <select
+                value={outputPoolAddress || ''}
+                onChange={(e) => chooseOutputPool(e.target.value || null)}
+                className="bg-transparent font-semibold text-white outline-none cursor-pointer"
+              >
+                <option value="" className="bg-[#1a1b23]">ETH</option>
+                {routeTargets.map((pool) => (
+                  <option key={pool.address} value={pool.address} className="bg-[#1a1b23]">{pool.tokenSymbol}</option>
+                ))}
+              </select>
+            ) : (
+              <span className="font-semibold text-white">{outputToken.symbol}</span>
+            )}
           </div>
         </div>
       </div>
@@ -286,23 +505,50 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
               Rate
             </span>
             <span className="text-white">
-              1 {direction === 'ethToToken' ? 'ETH' : tokenSymbol} = {rate} {direction === 'ethToToken' ? tokenSymbol : 'ETH'}
+              1 {inputToken.symbol} = {rate} {outputToken.symbol}
             </span>
           </div>
+          {isRouted && (
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">Route</span>
+              <span className="text-white">
+                {tokenSymbol} → ETH → {outputPool.tokenSymbol}
+                <span className="text-gray-500"> (2 × 0.3% fee)</span>
+              </span>
+            </div>
+          )}
           <div className="flex justify-between text-sm">
             <span className="text-gray-500">Price Impact</span>
             <span className={impactClass}>{priceImpact.toFixed(2)}%</span>
           </div>
+          {isExactOutput ? (
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">Max. Sent</span>
+              <span className="text-white">
+                {formatNumber(formatUnits(exactOutputQuote.maxAmountIn, inputDecimals), 6)} {inputToken.symbol}
+              </span>
+            </div>
+          ) : (
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">Min. Received</span>
+              <span className="text-white">
+                {formatNumber(parseFloat(outputAmount) * (1 - slippage / 100), 6)} {outputToken.symbol}
+              </span>
+            </div>
+          )}
           <div className="flex justify-between text-sm">
-            <span className="text-gray-500">Min. Received</span>
+            <span className="text-gray-500">Network Fee</span>
             <span className="text-white">
-              {formatNumber(parseFloat(outputAmount) * (1 - slippage / 100), 6)} {outputToken.symbol}
+              {preflight.isChecking
+                ? 'Estimating...'
+                : preflight.fee !== null
+                ? `~${formatNumber(formatUnits(preflight.fee, 18), 6)} ETH`
+                : '-'}
+              {preflight.needsApproval
+                ? <span className="text-gray-500"> (approval)</span>
+                : isRouted && preflight.fee !== null && <span className="text-gray-500"> (first leg)</span>}
             </span>
           </div>
-          <div className="flex justify-between text-sm">
-            <span className="text-gray-500">Network Fee</span>
-            <span className="text-white">~0.001 ETH</span>
-          </div>
         </div>
       )}
 
@@ -314,10 +560,18 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
         </div>
       )}
 
+      {/* Pre-flight Failure */}
+      {preflightError && !isSwapping && (
+        <div className="mt-4 p-3 rounded-xl bg-red-500/10 border border-red-500/30 flex items-center gap-3 animate-scale-in">
+          <HiExclamationTriangle className="w-5 h-5 text-red-400 flex-shrink-0" />
+          <p className="text-sm text-red-400">{preflightError}</p>
+        </div>
+      )}
+
       {/* Swap Button */}
       <button
         onClick={handleSwap}
-        disabled={!account || !inputAmount || parseFloat(inputAmount) <= 0 || isSwapping}
+        disabled={!account || !inputAmount || parseFloat(inputAmount) <= 0 || isSwapping || !!preflightError}
         className={`w-full mt-6 py-4 rounded-xl font-semibold text-lg transition-all duration-300 ${
           !account
             ? 'bg-white/5 text-gray-500 cursor-not-allowed'
@@ -334,8 +588,12 @@ export default function SwapCard({ poolData, poolContract, signer, account, onSu
             </>
           ) : !account ? (
             'Connect Wallet'
+          ) : insufficientLiquidity ? (
+            'Insufficient Liquidity'
           ) : !inputAmount || parseFloat(inputAmount) <= 0 ? (
             'Enter Amount'
+          ) : preflightError ? (
+            'Swap Would Fail'
           ) : isHighImpact ? (
             'Swap Anyway'
           ) : (
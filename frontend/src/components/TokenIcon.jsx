@@ -0,0 +1,20 @@
+import { useState } from 'react';
+import { SiEthereum } from 'react-icons/si';
+
+// Contents of a round token badge: the ETH mark, the token list logo, or the symbol's first letter
+export default function TokenIcon({ symbol, logoURI, isEth = false, className = 'text-xs' }) {
+  const [failedLogo, setFailedLogo] = useState(null);
+
+  if (isEth) return <SiEthereum className={className} />;
+  if (logoURI && failedLogo !== logoURI) {
+    return (
+      <img
+        src={logoURI}
+        alt={symbol}
+        className="w-full h-full rounded-full object-cover"
+        onError={() => setFailedLogo(logoURI)}
+      />
+    );
+  }
+  return <span className={className}>{symbol?.[0]}</span>;
+}
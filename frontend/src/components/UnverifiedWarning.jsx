@@ -0,0 +1,17 @@
+import { HiExclamationTriangle } from 'react-icons/hi2';
+
+// Shown before trading or importing a token that isn't on the chain's token list
+export default function UnverifiedWarning({ symbol, children }) {
+  return (
+    <div className="p-3 rounded-xl bg-yellow-500/10 border border-yellow-500/30 flex items-start gap-3">
+      <HiExclamationTriangle className="w-5 h-5 text-yellow-400 flex-shrink-0" />
+      <div className="flex-1">
+        <p className="text-sm text-yellow-400">
+          {symbol} is not on this network's token list. Anyone can deploy a token with any name and symbol,
+          including copies of real tokens. Check the address before trading.
+        </p>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -1,3 +1,6 @@
+import deployments from "virtual:deployments";
+import { mergeDeployments } from "../../../shared/deployments.mjs";
+
 // Contract ABIs for frontend interaction
 export const FACTORY_ABI = [
   "function createPool(address token) external returns (address pool)",
@@ -5,7 +8,9 @@ export const FACTORY_ABI = [
   "function allPools(uint256) external view returns (address)",
   "function allPoolsLength() external view returns (uint256)",
   "function getAllPools() external view returns (address[])",
-  "event PoolCreated(address indexed token, address indexed pool, uint256 poolIndex)"
+  "event PoolCreated(address indexed token, address indexed pool, uint256 poolIndex)",
+  "error ZeroAddress()",
+  "error PoolExists()"
 ];
 
 export const LIQUIDITY_POOL_ABI = [
@@ -27,7 +32,16 @@ export const LIQUIDITY_POOL_ABI = [
   "event LiquidityAdded(address indexed provider, uint256 ethAmount, uint256 tokenAmount, uint256 liquidityMinted)",
   "event LiquidityRemoved(address indexed provider, uint256 ethAmount, uint256 tokenAmount, uint256 liquidityBurned)",
   "event Swap(address indexed user, uint256 ethIn, uint256 tokenIn, uint256 ethOut, uint256 tokenOut)",
-  "event Sync(uint256 reserveETH, uint256 reserveToken)"
+  "event Sync(uint256 reserveETH, uint256 reserveToken)",
+  "error ReentrancyGuard()",
+  "error ZeroLiquidity()",
+  "error InsufficientLiquidity()",
+  "error InsufficientOutputAmount()",
+  "error InsufficientInputAmount()",
+  "error SlippageExceeded()",
+  "error InvalidRecipient()",
+  "error TransferFailed()",
+  "error ZeroAddress()"
 ];
 
 export const ERC20_ABI = [
@@ -44,33 +58,35 @@ export const ERC20_ABI = [
   "event Approval(address indexed owner, address indexed spender, uint256 value)"
 ];
 
-// Deployed contract addresses (update after deployment)
+// Deployed contract addresses, read at build time from Foundry broadcast artifacts
+// (broadcast/Deploy.s.sol/<chainId>/run-latest.json) with deployments.json overrides.
+// VITE_DEPLOYMENTS (inline JSON, same shape) takes precedence.
+const DEPLOYMENTS = mergeDeployments(
+  deployments,
+  import.meta.env.VITE_DEPLOYMENTS ? JSON.parse(import.meta.env.VITE_DEPLOYMENTS) : {}
+);
+
 export const CONTRACTS = {
-  // Local Anvil addresses
-  local: {
-    factory: "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707",
-    token: "0x0165878A594ca255338adfa4d48449f69242Eb8F",
-    pool: "0x61c36a8d610163660E21a8b7359e1Cac0C9133e1"
-  },
-  // Sepolia testnet addresses (update after deploying to Sepolia)
-  sepolia: {
-    factory: "",
-    token: "",
-    pool: ""
-  }
+  local: DEPLOYMENTS[31337],
+  sepolia: DEPLOYMENTS[11155111]
 };
 
 // Chain configurations
 export const CHAINS = {
   31337: {
     name: "Anvil Local",
+    color: "bg-green-500",
     rpcUrl: "http://127.0.0.1:8545",
     contracts: CONTRACTS.local
   },
   11155111: {
     name: "Sepolia Testnet",
+    color: "bg-purple-500",
     rpcUrl: "https://sepolia.infura.io/v3/YOUR_INFURA_KEY",
     contracts: CONTRACTS.sepolia,
     blockExplorer: "https://sepolia.etherscan.io"
   }
 };
+
+// Backend API (event indexer, live pool stream, token lists)
+export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3002";
@@ -1,6 +1,81 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { ethers } from 'ethers';
-import { LIQUIDITY_POOL_ABI, ERC20_ABI, CHAINS } from '../contracts/abis';
+import { FACTORY_ABI, LIQUIDITY_POOL_ABI, ERC20_ABI, CHAINS, API_URL } from '../contracts/abis';
+import { simulate, simulateBeforeApproval, estimateFee } from '../utils/preflight';
+import { formatAddress } from '../utils/helpers';
+
+const POOL_EVENTS = ['Sync', 'Swap', 'LiquidityAdded', 'LiquidityRemoved'];
+
+// Token list requests per chain, shared by every hook on the page
+const tokenListRequests = new Map();
+
+const fetchTokenList = (chainId) => {
+  if (!tokenListRequests.has(chainId)) {
+    tokenListRequests.set(chainId, fetch(`${API_URL}/api/tokenlist/${chainId}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Token list request failed with status ${res.status}`);
+        return res.json();
+      })
+      .catch((err) => {
+        // Retried on the next mount; tokens fall back to on-chain metadata meanwhile
+        tokenListRequests.delete(chainId);
+        throw err;
+      }));
+  }
+  return tokenListRequests.get(chainId);
+};
+
+// Early tokens (MKR, SAI) return symbol() and name() as bytes32 rather than string
+const BYTES32_METADATA_ABI = ['function symbol() view returns (bytes32)', 'function name() view returns (bytes32)'];
+
+// symbol() or name() as text, or null when the token doesn't implement it; RPC failures still throw
+const readTokenText = async (tokenContract, method) => {
+  try {
+    return await tokenContract[method]();
+  } catch (err) {
+    if (err.code !== 'BAD_DATA') {
+      if (err.code === 'CALL_EXCEPTION') return null;
+      throw err;
+    }
+  }
+  try {
+    const legacy = new ethers.Contract(tokenContract.target, BYTES32_METADATA_ABI, tokenContract.runner);
+    return ethers.decodeBytes32String(await legacy[method]()) || null;
+  } catch {
+    return null;
+  }
+};
+
+// Symbol, name, decimals and logo for a token: from its token list entry when listed, otherwise on-chain
+const readTokenMetadata = async (tokenContract, listed) => {
+  if (listed) {
+    return { tokenSymbol: listed.symbol, tokenName: listed.name, tokenDecimals: listed.decimals, tokenLogo: listed.logoURI || null, tokenListed: true };
+  }
+
+  const [tokenSymbol, tokenName, tokenDecimals] = await Promise.all([
+    readTokenText(tokenContract, 'symbol'),
+    readTokenText(tokenContract, 'name'),
+    tokenContract.decimals().then(Number)
+  ]);
+  return {
+    tokenSymbol: tokenSymbol ?? formatAddress(tokenContract.target),
+    tokenName: tokenName ?? 'Unnamed token',
+    tokenDecimals,
+    tokenLogo: null,
+    tokenListed: false
+  };
+};
+
+const importedTokensKey = (chainId) => `amm-dex:imported-tokens:${chainId}`;
+
+const readImportedTokens = (chainId) => {
+  if (!chainId) return [];
+  try {
+    return JSON.parse(localStorage.getItem(importedTokensKey(chainId))) || [];
+  } catch {
+    return [];
+  }
+};
 
 export function useWeb3() {
   const [provider, setProvider] = useState(null);
@@ -226,8 +301,37 @@ export function usePool(poolAddress, signer, provider) {
   return { ...poolData, refetch: fetchPoolData, poolContract };
 }
 
-// Hook that auto-selects pool address based on chain
-export function usePoolData(provider, signer, account) {
+// Subscribe to pool events pushed by the backend as each block is indexed
+export function usePoolEvents(chainId, poolAddress, onEvent) {
+  const [isLive, setIsLive] = useState(false);
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!chainId || !poolAddress || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(`${API_URL}/api/stream/${chainId}?pool=${poolAddress}`);
+    const handleMessage = (message) => onEventRef.current?.(JSON.parse(message.data));
+
+    POOL_EVENTS.forEach((type) => source.addEventListener(type, handleMessage));
+    // EventSource reconnects on its own; polling covers the gap meanwhile
+    source.onopen = () => setIsLive(true);
+    source.onerror = () => setIsLive(false);
+
+    return () => {
+      source.close();
+      setIsLive(false);
+    };
+  }, [chainId, poolAddress]);
+
+  return { isLive };
+}
+
+// State of the selected pool (a factory pool address), or of the chain's configured pool when none is selected
+export function usePoolData(provider, signer, account, selectedPool = null) {
   const [chainId, setChainId] = useState(31337);
   const [poolData, setPoolData] = useState({
     reserveETH: 0n,
@@ -237,12 +341,17 @@ export function usePoolData(provider, signer, account) {
     tokenAddress: null,
     tokenSymbol: 'MTK',
     tokenName: 'MyToken',
+    tokenDecimals: 18,
+    tokenLogo: null,
+    tokenListed: false,
     userTokenBalance: 0n,
     userETHBalance: 0n,
     isLoading: true
   });
   const [poolContract, setPoolContract] = useState(null);
-  const [tokenContract, setTokenContract] = useState(null);
+  const { getToken } = useTokenList(chainId);
+  // Pool whose data may be stored: reads still in flight for a previously selected pool are dropped
+  const activePool = useRef(null);
 
   // Get chain ID
   useEffect(() => {
@@ -260,18 +369,24 @@ export function usePoolData(provider, signer, account) {
     return chain.contracts;
   }, [chainId]);
 
+  const poolAddress = selectedPool || getContracts()?.pool || null;
+
+  // Show the loading state until the newly selected pool has been read
+  useEffect(() => {
+    activePool.current = poolAddress;
+    setPoolData(prev => ({ ...prev, isLoading: true }));
+  }, [poolAddress]);
+
   // Create contract instances
   useEffect(() => {
-    const contracts = getContracts();
-    if (!contracts || !provider) return;
+    if (!poolAddress || !provider) return;
+    setPoolContract(new ethers.Contract(poolAddress, LIQUIDITY_POOL_ABI, signer || provider));
+  }, [provider, signer, poolAddress]);
 
-    const signerOrProvider = signer || provider;
-    const pool = new ethers.Contract(contracts.pool, LIQUIDITY_POOL_ABI, signerOrProvider);
-    const token = new ethers.Contract(contracts.token, ERC20_ABI, signerOrProvider);
-    
-    setPoolContract(pool);
-    setTokenContract(token);
-  }, [provider, signer, getContracts]);
+  const tokenContract = useMemo(
+    () => (poolData.tokenAddress && provider ? new ethers.Contract(poolData.tokenAddress, ERC20_ABI, signer || provider) : null),
+    [poolData.tokenAddress, provider, signer]
+  );
 
   // Fetch pool data
   const fetchPoolData = useCallback(async () => {
@@ -286,10 +401,7 @@ export function usePoolData(provider, signer, account) {
       ]);
 
       const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-      const [tokenSymbol, tokenName] = await Promise.all([
-        tokenContract.symbol(),
-        tokenContract.name()
-      ]);
+      const metadata = await readTokenMetadata(tokenContract, getToken(tokenAddress));
 
       let userLiquidity = 0n;
       let userTokenBalance = 0n;
@@ -303,31 +415,270 @@ export function usePoolData(provider, signer, account) {
         ]);
       }
 
+      if (poolContract.target !== activePool.current) return;
       setPoolData({
         reserveETH,
         reserveToken,
         totalLiquidity,
         userLiquidity,
         tokenAddress,
-        tokenSymbol,
-        tokenName,
+        ...metadata,
         userTokenBalance,
         userETHBalance,
         isLoading: false
       });
     } catch (err) {
       console.error('Error fetching pool data:', err);
-      setPoolData(prev => ({ ...prev, isLoading: false }));
+      if (poolContract.target === activePool.current) setPoolData(prev => ({ ...prev, isLoading: false }));
+    }
+  }, [poolContract, provider, account, getToken]);
+
+  // Apply pushed reserves immediately; liquidity changes and the user's own trades need a full refresh
+  const handlePoolEvent = useCallback((event) => {
+    if (event.type === 'Sync') {
+      setPoolData(prev => ({
+        ...prev,
+        reserveETH: BigInt(event.args.reserveETH),
+        reserveToken: BigInt(event.args.reserveToken)
+      }));
+    }
+
+    const isOwnEvent = account && event.user === account.toLowerCase();
+    if (event.type === 'LiquidityAdded' || event.type === 'LiquidityRemoved' || isOwnEvent) {
+      fetchPoolData();
     }
-  }, [poolContract, provider, account]);
+  }, [account, fetchPoolData]);
+
+  const { isLive } = usePoolEvents(chainId, poolAddress, handlePoolEvent);
 
   useEffect(() => {
     fetchPoolData();
     
-    // Set up polling
-    const interval = setInterval(fetchPoolData, 10000);
+    // Set up polling (slower while the live stream is connected)
+    const interval = setInterval(fetchPoolData, isLive ? 60000 : 10000);
     return () => clearInterval(interval);
-  }, [fetchPoolData]);
+  }, [fetchPoolData, isLive]);
+
+  return { poolData, poolContract, tokenContract, poolAddress, refetch: fetchPoolData, isLoading: poolData.isLoading, isLive, chainId };
+}
+
+// The backend's token list for a chain, every entry checked against on-chain name/symbol/decimals.
+// getToken(address) returns the entry for a listed token, or null.
+export function useTokenList(chainId) {
+  const [tokens, setTokens] = useState([]);
+
+  useEffect(() => {
+    if (!chainId) return;
+    let cancelled = false;
+
+    fetchTokenList(chainId)
+      .then((list) => {
+        if (!cancelled) setTokens(list.tokens);
+      })
+      .catch((err) => console.error('Error fetching token list:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId]);
+
+  const getToken = useCallback(
+    (address) => tokens.find((token) => token.address.toLowerCase() === address?.toLowerCase()) || null,
+    [tokens]
+  );
+
+  return { tokens, getToken };
+}
+
+// Tokens the user imported by address, persisted in localStorage per chain
+export function useImportedTokens(chainId) {
+  const [tokens, setTokens] = useState(() => readImportedTokens(chainId));
+
+  useEffect(() => {
+    setTokens(readImportedTokens(chainId));
+  }, [chainId]);
+
+  const save = useCallback((next) => {
+    localStorage.setItem(importedTokensKey(chainId), JSON.stringify(next));
+    setTokens(next);
+  }, [chainId]);
+
+  const isImported = useCallback(
+    (address) => tokens.some((token) => token.address.toLowerCase() === address?.toLowerCase()),
+    [tokens]
+  );
+
+  const importToken = useCallback(({ address, name, symbol, decimals }) => {
+    const others = tokens.filter((token) => token.address.toLowerCase() !== address.toLowerCase());
+    save([...others, { address, name, symbol, decimals }]);
+  }, [tokens, save]);
+
+  const removeToken = useCallback((address) => {
+    save(tokens.filter((token) => token.address.toLowerCase() !== address.toLowerCase()));
+  }, [tokens, save]);
+
+  return { tokens, isImported, importToken, removeToken };
+}
+
+// Look up an ERC-20 by address: name, symbol, decimals, total supply and the factory's pool for it (null when none)
+export function useTokenLookup(provider, factoryAddress, address) {
+  const [result, setResult] = useState({ token: null, error: null, isLoading: false });
+
+  useEffect(() => {
+    setResult({ token: null, error: null, isLoading: false });
+    if (!provider || !address || !ethers.isAddress(address)) return;
+
+    let cancelled = false;
+    const tokenAddress = ethers.getAddress(address);
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const factory = factoryAddress ? new ethers.Contract(factoryAddress, FACTORY_ABI, provider) : null;
+    setResult({ token: null, error: null, isLoading: true });
+
+    Promise.all([
+      token.name(),
+      token.symbol(),
+      token.decimals(),
+      token.totalSupply(),
+      factory ? factory.getPool(tokenAddress) : ethers.ZeroAddress
+    ])
+      .then(([name, symbol, decimals, totalSupply, pool]) => {
+        if (cancelled) return;
+        setResult({
+          token: { address: tokenAddress, name, symbol, decimals: Number(decimals), totalSupply, pool: pool === ethers.ZeroAddress ? null : pool },
+          error: null,
+          isLoading: false
+        });
+      })
+      .catch(() => {
+        if (!cancelled) setResult({ token: null, error: 'No ERC-20 token at this address on this network', isLoading: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, factoryAddress, address]);
+
+  return result;
+}
+
+// How long the inputs must stay unchanged before a pre-flight check runs (ms)
+const PREFLIGHT_DELAY = 400;
+
+/**
+ * Pre-flight check for the write a form is about to send: a staticCall from the signer, a gas estimate
+ * and the network fee in wei, re-run whenever the call changes. `call` is { contract, method, args,
+ * value, approval: { token, amount } } or null when there's nothing to send. While the approval isn't
+ * given the call is only simulated up to the token transfer, and the fee shown is the approval's.
+ */
+export function usePreflight(call) {
+  const [result, setResult] = useState({ error: null, fee: null, needsApproval: false, isChecking: false });
+  const callRef = useRef(call);
+  callRef.current = call;
+
+  const key = call
+    ? [call.contract.target, call.method, ...call.args, call.value ?? 0n, call.approval?.token ?? '', call.approval?.amount ?? 0n].join(':')
+    : null;
+
+  useEffect(() => {
+    setResult({ error: null, fee: null, needsApproval: false, isChecking: !!key });
+    if (!key) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const { contract, method, args, value, approval } = callRef.current;
+      const overrides = value ? { value } : {};
+
+      try {
+        let needsApproval = false;
+        let gasLimit;
+        if (approval) {
+          const token = new ethers.Contract(approval.token, ERC20_ABI, contract.runner);
+          const allowance = await token.allowance(await contract.runner.getAddress(), contract.target);
+          needsApproval = allowance < approval.amount;
+          if (needsApproval) {
+            await simulateBeforeApproval(contract, method, args, overrides);
+            gasLimit = await token.approve.estimateGas(contract.target, ethers.MaxUint256);
+          }
+        }
+        if (!needsApproval) gasLimit = await simulate(contract, method, args, overrides);
+
+        const fee = await estimateFee(contract.runner.provider, gasLimit);
+        if (!cancelled) setResult({ error: null, fee, needsApproval, isChecking: false });
+      } catch (err) {
+        if (!cancelled) setResult({ error: err, fee: null, needsApproval: false, isChecking: false });
+      }
+    }, PREFLIGHT_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [key]);
+
+  return result;
+}
+
+// Every pool created by the factory, with its token metadata (symbol, name, decimals, logo) and reserves
+export function useFactoryPools(provider, chainId) {
+  const [pools, setPools] = useState([]);
+  const { getToken } = useTokenList(chainId);
+
+  const fetchPools = useCallback(async () => {
+    const factoryAddress = CHAINS[chainId]?.contracts.factory;
+    if (!provider || !factoryAddress) return;
+
+    try {
+      const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+      const addresses = await factory.getAllPools();
+
+      // One pool whose token can't be read is left out rather than emptying the selector
+      const results = await Promise.allSettled(addresses.map(async (address) => {
+        const pool = new ethers.Contract(address, LIQUIDITY_POOL_ABI, provider);
+        const [tokenAddress, reserveETH, reserveToken] = await Promise.all([
+          pool.token(),
+          pool.reserveETH(),
+          pool.reserveToken()
+        ]);
+
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        const metadata = await readTokenMetadata(token, getToken(tokenAddress));
+
+        return { address, tokenAddress, ...metadata, reserveETH, reserveToken };
+      }));
+
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') console.error(`Error reading pool ${addresses[i]}:`, result.reason);
+      });
+      setPools(results.filter((result) => result.status === 'fulfilled').map((result) => result.value));
+    } catch (err) {
+      console.error('Error fetching factory pools:', err);
+    }
+  }, [provider, chainId, getToken]);
+
+  useEffect(() => {
+    fetchPools();
+
+    const interval = setInterval(fetchPools, 10000);
+    return () => clearInterval(interval);
+  }, [fetchPools]);
+
+  return { pools, refetch: fetchPools };
+}
+
+// Verify every configured contract address has code on the connected chain.
+// Returns the names of contracts that are missing (empty while checking or when all are present).
+export function useDeploymentCheck(provider, chainId) {
+  const [missing, setMissing] = useState([]);
+
+  useEffect(() => {
+    const contracts = CHAINS[chainId]?.contracts;
+    if (!provider || !contracts) return;
+
+    const names = ['factory', 'token', 'pool'].filter((name) => contracts[name]);
+    Promise.all(names.map((name) => provider.getCode(contracts[name])))
+      .then((codes) => setMissing(names.filter((name, i) => codes[i] === '0x')))
+      .catch((err) => console.error('Error checking deployment:', err));
+  }, [provider, chainId]);
 
-  return { poolData, poolContract, tokenContract, refetch: fetchPoolData, isLoading: poolData.isLoading };
+  return missing;
 }
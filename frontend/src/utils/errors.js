@@ -0,0 +1,82 @@
+import { ethers } from 'ethers';
+import { LIQUIDITY_POOL_ABI, FACTORY_ABI } from '../contracts/abis';
+
+// Custom errors of both contracts (see src/LiquidityPool.sol and src/Factory.sol)
+const CONTRACT_ERRORS = new ethers.Interface([...LIQUIDITY_POOL_ABI, ...FACTORY_ABI].filter((item) => item.startsWith('error ')));
+
+// What each custom error means to the user; callers can override per action
+const ERROR_MESSAGES = {
+  SlippageExceeded: 'Price moved beyond your slippage tolerance.',
+  InsufficientLiquidity: 'The pool does not have enough liquidity for this amount.',
+  InsufficientOutputAmount: 'Amount too small: the trade would return nothing. Enter a larger amount.',
+  InsufficientInputAmount: 'Enter an amount greater than zero.',
+  ZeroLiquidity: 'Amount too small to mint any LP tokens. Add more ETH and tokens.',
+  TransferFailed: 'Token transfer failed. Check your balance and allowance.',
+  ReentrancyGuard: 'The pool rejected a re-entrant call.',
+  InvalidRecipient: 'Invalid recipient.',
+  ZeroAddress: 'The zero address is not a valid token.',
+  PoolExists: 'A pool for this token already exists.'
+};
+
+// Revert data sits at different depths depending on whether the call failed in ethers or in the wallet
+const revertData = (err) => err.data ?? err.info?.error?.data?.data ?? err.info?.error?.data ?? err.error?.data;
+
+/**
+ * Name of the custom error a failed call reverted with, or null
+ */
+export function decodeRevert(err) {
+  if (err.revert?.name) return err.revert.name;
+  const data = revertData(err);
+  if (typeof data !== 'string') return null;
+  try {
+    return CONTRACT_ERRORS.parseError(data)?.name ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a failed call reverted with the named custom error
+ */
+export function isRevert(err, name) {
+  return decodeRevert(err) === name;
+}
+
+const walletCode = (err) => err.info?.error?.code ?? err.error?.code ?? err.code;
+const errorText = (err) => [err.shortMessage, err.message, err.info?.error?.message, err.error?.message].filter(Boolean).join(' ');
+
+/**
+ * Translate a failed transaction into a message for the user.
+ * Options: fallback (shown when nothing better is known), messages (per-error overrides),
+ * slippage (the tolerance used, percent) and neededSlippage (what would have succeeded on current reserves).
+ */
+export function describeError(err, { fallback = 'Transaction failed', messages = {}, slippage, neededSlippage } = {}) {
+  if (err.code === 'ACTION_REJECTED' || walletCode(err) === 4001) return 'Transaction rejected in your wallet.';
+  if (err.code === 'INSUFFICIENT_FUNDS' || /insufficient funds/i.test(errorText(err))) {
+    return 'Not enough ETH to cover the amount plus gas.';
+  }
+  if (err.code === 'NONCE_EXPIRED' || err.code === 'REPLACEMENT_UNDERPRICED' || /nonce/i.test(errorText(err))) {
+    return 'Your wallet\'s nonce is out of sync. Wait for pending transactions, or reset the account\'s activity in your wallet (needed after restarting a local node).';
+  }
+
+  const name = decodeRevert(err);
+  if (name === 'SlippageExceeded' && !messages.SlippageExceeded) {
+    const moved = slippage !== undefined ? `Price moved beyond your ${slippage}% slippage tolerance.` : ERROR_MESSAGES.SlippageExceeded;
+    return neededSlippage > (slippage ?? 0)
+      ? `${moved} Raise slippage to ${neededSlippage}% or try again.`
+      : `${moved} Raise slippage or try again.`;
+  }
+  if (name) return messages[name] ?? ERROR_MESSAGES[name];
+
+  // require() strings, e.g. "ERC20: insufficient allowance"
+  return err.reason || fallback;
+}
+
+/**
+ * How far `actual` moved from `quoted`, as a slippage percent rounded up to a tenth, or null when unchanged
+ */
+export function slippageBetween(quoted, actual) {
+  if (!quoted || actual === quoted) return null;
+  const diff = actual > quoted ? actual - quoted : quoted - actual;
+  return (Number(diff * 1000n / quoted) + 1) / 10;
+}
@@ -0,0 +1,63 @@
+import { decodeRevert } from './errors';
+
+// Gas headroom over the estimate, for state that changes between the estimate and the block (10%)
+const GAS_HEADROOM = 110n;
+
+// Pool checks that run before it pulls the user's tokens (see src/LiquidityPool.sol)
+const PRE_TRANSFER_ERRORS = [
+  'ReentrancyGuard',
+  'ZeroLiquidity',
+  'InsufficientLiquidity',
+  'InsufficientOutputAmount',
+  'InsufficientInputAmount',
+  'SlippageExceeded'
+];
+
+/**
+ * Whether a call reverted at the token transfer rather than in the pool's own checks. Tokens fail a
+ * missing allowance in their own way: a require string, a custom error such as OpenZeppelin's
+ * ERC20InsufficientAllowance, or returning false (the pool's TransferFailed).
+ */
+export function isTransferRevert(err) {
+  return err.code === 'CALL_EXCEPTION' && !PRE_TRANSFER_ERRORS.includes(decodeRevert(err));
+}
+
+/**
+ * Run a write as a staticCall from the signer, then estimate its gas.
+ * Throws whatever the transaction would revert with, so nothing is paid for a predictable failure.
+ */
+export async function simulate(contract, method, args, overrides = {}) {
+  const fn = contract.getFunction(method);
+  await fn.staticCall(...args, overrides);
+  const gas = await fn.estimateGas(...args, overrides);
+  return gas * GAS_HEADROOM / 100n;
+}
+
+/**
+ * staticCall a write that still waits on a token approval (callers compare the allowance first).
+ * It can only get as far as the pool's transferFrom, so a revert there means every check before it
+ * (slippage, liquidity) passed.
+ */
+export async function simulateBeforeApproval(contract, method, args, overrides = {}) {
+  try {
+    await contract.getFunction(method).staticCall(...args, overrides);
+  } catch (err) {
+    if (!isTransferRevert(err)) throw err;
+  }
+}
+
+/**
+ * Network fee in wei for a gas limit, at the chain's current max fee (gas price on legacy chains)
+ */
+export async function estimateFee(provider, gasLimit) {
+  const { maxFeePerGas, gasPrice } = await provider.getFeeData();
+  return gasLimit * (maxFeePerGas ?? gasPrice ?? 0n);
+}
+
+/**
+ * Simulate a write and send it with the estimated gas limit; a predicted revert throws before anything is sent
+ */
+export async function sendChecked(contract, method, args, overrides = {}) {
+  const gasLimit = await simulate(contract, method, args, overrides);
+  return contract.getFunction(method)(...args, { ...overrides, gasLimit });
+}
@@ -0,0 +1,40 @@
+import { getAmountOut, calculatePriceImpact } from './helpers';
+
+/**
+ * Apply a slippage tolerance (percent) to an amount, rounding down
+ */
+export function applySlippage(amount, slippage) {
+  return amount * BigInt(Math.floor((100 - slippage) * 10)) / 1000n;
+}
+
+/**
+ * Raise an amount by a slippage tolerance (percent), rounding up: the most an exact-output trade may spend
+ */
+export function addSlippage(amount, slippage) {
+  return (amount * BigInt(Math.round((100 + slippage) * 10)) + 999n) / 1000n;
+}
+
+/**
+ * Quote token A -> ETH -> token B across two pools for an exact input.
+ * Each leg takes the 0.3% fee and moves its own pool, so fees and price impact compound.
+ */
+export function quoteRoute(amountIn, poolIn, poolOut) {
+  if (!amountIn || !poolIn || !poolOut) return null;
+
+  const ethOut = getAmountOut(amountIn, poolIn.reserveToken, poolIn.reserveETH);
+  const amountOut = getAmountOut(ethOut, poolOut.reserveETH, poolOut.reserveToken);
+  if (ethOut === 0n || amountOut === 0n) return null;
+
+  const sellImpact = calculatePriceImpact(amountIn, poolIn.reserveToken, poolIn.reserveETH);
+  const buyImpact = calculatePriceImpact(ethOut, poolOut.reserveETH, poolOut.reserveToken);
+
+  return {
+    ethOut,
+    amountOut,
+    priceImpact: 100 - ((100 - sellImpact) * (100 - buyImpact)) / 100,
+    legs: [
+      { pool: poolIn.address, amountIn, amountOut: ethOut, priceImpact: sellImpact },
+      { pool: poolOut.address, amountIn: ethOut, amountOut, priceImpact: buyImpact }
+    ]
+  };
+}
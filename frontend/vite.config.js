@@ -1,11 +1,61 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { DEFAULT_DEPLOYMENTS, parseBroadcast, mergeDeployments } from '../shared/deployments.mjs'
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const BROADCAST_DIR = path.join(ROOT_DIR, 'broadcast', 'Deploy.s.sol')
+const DEPLOYMENTS_FILE = process.env.DEPLOYMENTS_FILE || path.join(ROOT_DIR, 'deployments.json')
+
+// Exposes `virtual:deployments`: contract addresses per chain from Foundry broadcast
+// artifacts plus deployments.json overrides. Only the addresses reach the bundle.
+function deployments() {
+  const id = 'virtual:deployments'
+  const resolvedId = '\0' + id
+
+  const load = () => {
+    const broadcasts = {}
+    if (fs.existsSync(BROADCAST_DIR)) {
+      for (const chainId of fs.readdirSync(BROADCAST_DIR)) {
+        const file = path.join(BROADCAST_DIR, chainId, 'run-latest.json')
+        if (fs.existsSync(file)) {
+          broadcasts[chainId] = parseBroadcast(JSON.parse(fs.readFileSync(file, 'utf8')))
+        }
+      }
+    }
+    const overrides = fs.existsSync(DEPLOYMENTS_FILE) ? JSON.parse(fs.readFileSync(DEPLOYMENTS_FILE, 'utf8')) : {}
+    return mergeDeployments(DEFAULT_DEPLOYMENTS, broadcasts, overrides)
+  }
+
+  return {
+    name: 'deployments',
+    resolveId: (source) => (source === id ? resolvedId : null),
+    load: (moduleId) => (moduleId === resolvedId ? `export default ${JSON.stringify(load())}` : null),
+    configureServer(server) {
+      // A deploy writes run-latest.json (created on the first deploy, rewritten after);
+      // reload so the app picks up the new addresses
+      const reload = (file) => {
+        if (!file.startsWith(BROADCAST_DIR) && file !== DEPLOYMENTS_FILE) return
+        const module = server.moduleGraph.getModuleById(resolvedId)
+        if (module) server.moduleGraph.invalidateModule(module)
+        server.ws.send({ type: 'full-reload' })
+      }
+      server.watcher.add([BROADCAST_DIR, DEPLOYMENTS_FILE])
+      server.watcher.on('add', reload)
+      server.watcher.on('change', reload)
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), deployments()],
   server: {
     port: 3000,
-    open: true
+    open: true,
+    // shared/ lives outside the frontend root
+    fs: { allow: [ROOT_DIR] }
   },
   build: {
     outDir: 'dist',
@@ -0,0 +1,66 @@
+// Deployment registry shared by the backend and the frontend.
+// Addresses come from Foundry's broadcast artifacts (broadcast/Deploy.s.sol/<chainId>/run-latest.json,
+// written by script/Deploy.s.sol), layered over the defaults below and under any overrides.
+
+// keccak256("PoolCreated(address,address,uint256)")
+const POOL_CREATED_TOPIC = '0xf8a0462f666b427ea753848be7e91f9ce413975906f6f39950be296ca9a4d524';
+
+// Used when a chain has no broadcast artifact (e.g. a fresh clone: broadcast/ is git-ignored).
+// The local entry is what Deploy.s.sol produces on a fresh Anvil.
+export const DEFAULT_DEPLOYMENTS = {
+  31337: {
+    factory: '0x5FC8d32690cc91D4c39d9d3abcBD16989F875707',
+    token: '0x0165878A594ca255338adfa4d48449f69242Eb8F',
+    pool: '0x61c36a8d610163660E21a8b7359e1Cac0C9133e1',
+    startBlock: 0
+  },
+  11155111: {
+    factory: '',
+    token: '',
+    pool: '',
+    startBlock: 0
+  }
+};
+
+const toNumber = (value) => (typeof value === 'string' ? parseInt(value, 16) : Number(value));
+
+/**
+ * Extract { factory, token, pool, startBlock } from a Foundry run-latest.json.
+ * The pool is created inside Factory.createPool, so it's read from the PoolCreated log.
+ */
+export function parseBroadcast(run) {
+  const deployment = {};
+  const created = (run.transactions || []).filter((tx) => tx.transactionType === 'CREATE');
+
+  const factory = created.find((tx) => tx.contractName === 'Factory');
+  const token = created.find((tx) => tx.contractName === 'MyToken');
+  if (factory) deployment.factory = factory.contractAddress;
+  if (token) deployment.token = token.contractAddress;
+
+  const receipts = run.receipts || [];
+  for (const receipt of receipts) {
+    const log = (receipt.logs || []).find((l) => l.topics?.[0] === POOL_CREATED_TOPIC);
+    if (log) {
+      deployment.pool = `0x${log.topics[2].slice(-40)}`;
+      break;
+    }
+  }
+
+  const blocks = receipts.map((receipt) => toNumber(receipt.blockNumber)).filter(Number.isFinite);
+  if (blocks.length > 0) deployment.startBlock = Math.min(...blocks);
+
+  return deployment;
+}
+
+/**
+ * Merge deployment maps ({ [chainId]: { factory, token, pool, startBlock } }), later layers winning per field.
+ */
+export function mergeDeployments(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const [chainId, deployment] of Object.entries(layer || {})) {
+      merged[chainId] = { ...merged[chainId], ...deployment };
+    }
+  }
+  return merged;
+}